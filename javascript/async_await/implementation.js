@@ -1,10 +1,27 @@
+// Helper: realClock / createFakeClock live in event_loop/implementation.js (section 19)
+const { realClock } = require('../event_loop/implementation.js');
+
 // Helper: Simulates API delay
-function delay(ms, value) {
+function delay(ms, value, clock = realClock) {
   return new Promise(resolve => {
-    setTimeout(() => resolve(value), ms);
+    clock.setTimeout(() => resolve(value), ms);
   });
 }
 
+// Helper: Where API examples send requests
+// Swap `fetch` for the mock server (see 12) to run every example offline -
+// promises and react/useEffect use this same apiConfig
+const apiConfig = {
+  baseUrl: 'https://jsonplaceholder.typicode.com',
+  fetch: (...args) => fetch(...args)
+};
+
+// Accepts a path ('/users/1') or a full URL
+function apiFetch(pathOrUrl, options) {
+  const url = /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${apiConfig.baseUrl}${pathOrUrl}`;
+  return apiConfig.fetch(url, options);
+}
+
 // 1. Basic example
 async function basicExample() {
   console.log('Starting...');
@@ -71,19 +88,26 @@ async function noErrorHandling() {
   return result;
 }
 
+// tryAsync (section 15) contains it after the fact:
+// const result = await tryAsync(noErrorHandling); // { ok: false, error } instead of a crash
+
 // With error handling - the right way
+// Returns a Result (section 15): the caller can tell "failed" from "no data",
+// and the error says which task failed, with the original as `cause`
 async function withErrorHandling() {
   try {
     const result = await randomOperation();
     console.log('Success:', result);
-    return result;
+    return ok(result);
   } catch (error) {
     console.error('Caught error:', error.message);
-    return null; // return something instead of crashing
+    return err(new TaskError('randomOperation', error));
   }
 }
 
-// withErrorHandling();
+// withErrorHandling().then(result => {
+//   if (!result.ok) console.log(result.error.task, result.error.cause); // randomOperation, Error
+// });
 
 // 4. Fetching data from API
 async function fetchUserData(userId) {
@@ -91,7 +115,7 @@ async function fetchUserData(userId) {
     console.log(`Fetching user ${userId}...`);
     
     // Fetch user info
-    const response = await fetch(`https://jsonplaceholder.typicode.com/users/${userId}`);
+    const response = await apiFetch(`/users/${userId}`);
     
     if (!response.ok) {
       throw new Error(`HTTP error: ${response.status}`);
@@ -101,7 +125,7 @@ async function fetchUserData(userId) {
     console.log('Got user:', user.name);
     
     // Now fetch their posts
-    const postsResponse = await fetch(`https://jsonplaceholder.typicode.com/posts?userId=${userId}`);
+    const postsResponse = await apiFetch(`/posts?userId=${userId}`);
     const posts = await postsResponse.json();
     
     console.log('Posts:', posts.length);
@@ -127,7 +151,7 @@ async function fetchMultipleUsers(ids) {
     
     // Create promises for each user
     const promises = ids.map(id => 
-      fetch(`https://jsonplaceholder.typicode.com/users/${id}`)
+      apiFetch(`/users/${id}`)
         .then(res => res.json())
     );
     
@@ -149,14 +173,14 @@ async function fetchMultipleUsers(ids) {
 async function getUserInfo(includeDetails = false) {
   try {
     // Always get basic info
-    const res = await fetch('https://jsonplaceholder.typicode.com/users/1');
+    const res = await apiFetch('/users/1');
     const user = await res.json();
     
     console.log('User:', user.name);
     
     // Only get posts if needed
     if (includeDetails) {
-      const postsRes = await fetch(`https://jsonplaceholder.typicode.com/posts?userId=${user.id}`);
+      const postsRes = await apiFetch(`/posts?userId=${user.id}`);
       const posts = await postsRes.json();
       return { user, posts };
     }
@@ -172,58 +196,257 @@ async function getUserInfo(includeDetails = false) {
 // getUserInfo(true);
 
 // 7. Retry logic
-async function fetchWithRetry(url, maxAttempts = 3) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+// retry() works with any async function, not just fetch.
+// Policy options:
+// - maxAttempts, maxElapsed: stop after N tries or after this many ms in total
+// - baseDelay, factor, maxDelay: exponential backoff (1s, 2s, 4s... capped)
+// - jitter: randomize delays so many clients don't retry in lockstep
+// - shouldRetry(error, attempt): decide which errors are worth retrying
+// - retryableStatuses: HTTP statuses to retry (errors with a .status)
+// - onAttempt / onRetry: hooks for logging
+// - signal: AbortSignal to stop retrying
+class HttpError extends Error {
+  constructor(response) {
+    super(`HTTP ${response.status}`);
+    this.name = 'HttpError';
+    this.status = response.status;
+    this.headers = response.headers;
+  }
+}
+
+const DEFAULT_RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Retry-After is either seconds ("120") or an HTTP date
+function parseRetryAfter(error, clock) {
+  const header = error && error.headers && typeof error.headers.get === 'function'
+    ? error.headers.get('Retry-After')
+    : null;
+
+  if (header === null || header === undefined) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - clock.now());
+}
+
+// delay() that can be interrupted by an AbortSignal
+function sleep(ms, signal, clock = realClock) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clock.clearTimeout(timerId);
+      reject(signal.reason);
+    };
+
+    const timerId = clock.setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function retry(fn, policy = {}) {
+  const {
+    maxAttempts = 3,
+    maxElapsed = Infinity,
+    baseDelay = 1000,
+    factor = 2,
+    maxDelay = 30000,
+    jitter = true,
+    retryableStatuses = DEFAULT_RETRYABLE_STATUSES,
+    shouldRetry = () => true,
+    onAttempt = null,
+    onRetry = null,
+    signal = null,
+    clock = realClock
+  } = policy;
+
+  const start = clock.now();
+
+  function isRetryable(error, attempt) {
+    // Aborted by the caller - never retry that
+    if (signal && signal.aborted) return false;
+    if (error && typeof error.status === 'number' && !retryableStatuses.includes(error.status)) {
+      return false;
+    }
+    return shouldRetry(error, attempt);
+  }
+
+  function backoff(attempt, error) {
+    const retryAfter = parseRetryAfter(error, clock);
+    if (retryAfter !== null) return retryAfter; // The server knows best
+
+    const exponential = Math.min(maxDelay, baseDelay * factor ** (attempt - 1));
+    // "Full jitter": anywhere between 0 and the exponential delay
+    return jitter ? Math.round(Math.random() * exponential) : exponential;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    if (signal && signal.aborted) throw signal.reason;
+    if (onAttempt) onAttempt({ attempt, elapsed: clock.now() - start });
+
     try {
-      console.log(`Attempt ${attempt}...`);
-      
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      
-      const data = await response.json();
-      console.log('Success!');
-      return data;
-      
+      return await fn(attempt, { signal });
     } catch (error) {
-      console.log(`Attempt ${attempt} failed`);
-      lastError = error;
-      
-      // Wait before trying again
-      if (attempt < maxAttempts) {
-        await delay(1000 * attempt); // wait 1s, then 2s, then 3s
+      if (attempt >= maxAttempts || !isRetryable(error, attempt)) {
+        throw error;
       }
+
+      const wait = backoff(attempt, error);
+      const elapsed = clock.now() - start;
+
+      // Waiting would blow the total time budget - give up now
+      if (elapsed + wait > maxElapsed) {
+        throw error;
+      }
+
+      if (onRetry) onRetry({ attempt, error, delay: wait, elapsed });
+      await sleep(wait, signal, clock);
     }
   }
-  
-  throw lastError;
+}
+
+async function fetchWithRetry(url, maxAttempts = 3) {
+  return retry(async (attempt, { signal }) => {
+    console.log(`Attempt ${attempt}...`);
+
+    const response = await apiFetch(url, { signal });
+    if (!response.ok) throw new HttpError(response);
+
+    const data = await response.json();
+    console.log('Success!');
+    return data;
+  }, {
+    maxAttempts,
+    onRetry: ({ attempt, delay: wait }) => {
+      console.log(`Attempt ${attempt} failed, retrying in ${wait}ms`);
+    }
+  });
 }
 
 // fetchWithRetry('https://jsonplaceholder.typicode.com/users/1');
 
+// Same engine, any async function
+async function saveWithRetry(data, { signal } = {}) {
+  const result = await retry(() => saveToDatabase(data), {
+    maxAttempts: 5,
+    baseDelay: 200,
+    maxElapsed: 10000,
+    shouldRetry: (error) => error.code !== 'VALIDATION_FAILED', // Bad data won't fix itself
+    onRetry: ({ attempt, error, delay: wait }) => {
+      console.log(`Save failed (${error.message}), attempt ${attempt}, next in ${wait}ms`);
+    },
+    signal // Aborting it cancels the backoff wait and stops any further attempts
+  });
+
+  return result;
+}
+
+function saveToDatabase(data) {
+  return Math.random() > 0.5
+    ? delay(100, { saved: data })
+    : Promise.reject(new Error('Connection reset'));
+}
+
+// saveWithRetry({ name: 'John' }).then(console.log);
+// const controller = new AbortController();
+// saveWithRetry({ name: 'John' }, { signal: controller.signal }).catch(console.log);
+// controller.abort(); // Rejects with the abort reason instead of retrying
+
 // 8. Timeout implementation
-async function fetchWithTimeout(url, timeoutMs = 5000) {
+// Promise.race with a setTimeout only stops WAITING - the fetch keeps running
+// and the timer keeps ticking. withTimeout() uses an AbortSignal instead:
+// - the work gets a signal and is actually cancelled on timeout
+// - the timer is cleared as soon as the work finishes
+// - a caller's own signal (e.g. "user navigated away") still works too
+// - timeouts reject with TimeoutError, so they're easy to tell apart
+class TimeoutError extends Error {
+  constructor(timeout, elapsed) {
+    super(`Timed out after ${elapsed}ms (limit ${timeout}ms)`);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+    this.elapsed = elapsed;
+  }
+}
+
+function withTimeout(fn, timeoutMs, options = {}) {
+  const { signal: parentSignal = null, clock = realClock } = options;
+  const controller = new AbortController();
+  const start = clock.now();
+
+  return new Promise((resolve, reject) => {
+    let timerId = null;
+
+    function cleanup() {
+      clock.clearTimeout(timerId);
+      if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+    }
+
+    function fail(reason) {
+      cleanup();
+      controller.abort(reason); // Cancel the work itself
+      reject(reason);
+    }
+
+    function onParentAbort() {
+      fail(parentSignal.reason);
+    }
+
+    if (parentSignal) {
+      if (parentSignal.aborted) {
+        fail(parentSignal.reason);
+        return;
+      }
+      parentSignal.addEventListener('abort', onParentAbort, { once: true });
+    }
+
+    timerId = clock.setTimeout(() => {
+      fail(new TimeoutError(timeoutMs, clock.now() - start));
+    }, timeoutMs);
+
+    // Wrapping in a Promise turns sync throws into rejections too
+    new Promise(run => run(fn(controller.signal)))
+      .then(
+        (value) => { cleanup(); resolve(value); },
+        (error) => { cleanup(); reject(controller.signal.aborted ? controller.signal.reason : error); }
+      );
+  });
+}
+
+async function fetchWithTimeout(url, timeoutMs = 5000, signal = null) {
   try {
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Timeout')), timeoutMs);
-    });
-    
-    const fetchPromise = fetch(url).then(res => res.json());
-    
-    // Whichever finishes first wins
-    const data = await Promise.race([fetchPromise, timeoutPromise]);
+    const data = await withTimeout(
+      (timeoutSignal) => apiFetch(url, { signal: timeoutSignal }).then(res => res.json()),
+      timeoutMs,
+      { signal }
+    );
     
     return data;
     
   } catch (error) {
-    console.error('Failed:', error.message);
+    if (error instanceof TimeoutError) {
+      console.error(`Gave up after ${error.elapsed}ms - request was aborted`);
+    } else {
+      console.error('Failed:', error.message);
+    }
     return null;
   }
 }
 
 // fetchWithTimeout('https://jsonplaceholder.typicode.com/users/1', 3000);
 
+// const page = new AbortController();
+// fetchWithTimeout('https://jsonplaceholder.typicode.com/users/1', 3000, page.signal);
+// page.abort(); // User navigated away - cancels before the 3s timeout
+
 // 9. Processing arrays
 // One by one (slow but sometimes needed)
 async function processSequentially(items) {
@@ -253,10 +476,987 @@ async function processInParallel(items) {
 
 // 10. Running async code immediately
 // Use this pattern to run async code at top level
-(async () => {
-  const data = await delay(1000, 'Hello!');
-  console.log(data);
-})();
+// (Skipped when another topic requires this file)
+if (typeof module === 'undefined' || require.main === module) {
+  (async () => {
+    const data = await delay(1000, 'Hello!');
+    console.log(data);
+  })();
+}
+
+// 11. Concurrency-limited pool - the middle ground
+// processSequentially = 1 at a time (slow), processInParallel = all at once
+// (hammers the server). asyncPool runs at most `concurrency` tasks at a time.
+// - results come back in input order
+// - items can be an array, any iterable, or an async iterable
+// - failFast: true  -> reject on the first error, stop starting new tasks
+//   failFast: false -> keep going, resolve with { results, errors }
+async function asyncPool(items, worker, options = {}) {
+  const { concurrency = 4, failFast = true, onProgress = null } = options;
+
+  if (!Number.isFinite(concurrency) || concurrency < 1) {
+    throw new RangeError(`concurrency must be a finite number >= 1, got ${concurrency}`);
+  }
+
+  const iterator = items[Symbol.asyncIterator]
+    ? items[Symbol.asyncIterator]()
+    : items[Symbol.iterator]();
+  const total = Array.isArray(items) ? items.length : null; // Unknown for streams
+
+  const results = [];
+  const errors = [];
+  let nextIndex = 0;
+  let completed = 0;
+  let running = 0;
+  let stopped = false;
+  let exhausted = false;
+
+  function reportProgress() {
+    if (onProgress) {
+      onProgress({ completed, failed: errors.length, running, total });
+    }
+  }
+
+  async function runWorker() {
+    while (!stopped && !exhausted) {
+      // Claim the index before awaiting so order matches the input
+      const index = nextIndex++;
+      const { value: item, done } = await iterator.next();
+
+      if (done) {
+        exhausted = true;
+        return;
+      }
+      if (stopped) return;
+
+      running++;
+      try {
+        results[index] = await worker(item, index);
+      } catch (error) {
+        if (failFast) {
+          stopped = true;
+          throw error;
+        }
+        errors.push({ index, item, error });
+      } finally {
+        running--;
+        completed++;
+        reportProgress();
+      }
+    }
+  }
+
+  // No point starting more workers than there are items (when we know the count)
+  const workerCount = Math.floor(total === null ? concurrency : Math.min(concurrency, Math.max(1, total)));
+  const workers = Array.from({ length: workerCount }, runWorker);
+
+  try {
+    await Promise.all(workers);
+  } catch (error) {
+    // Let generators run their cleanup (finally blocks)
+    if (iterator.return) await iterator.return();
+    throw error;
+  }
+
+  return failFast ? results : { results, errors };
+}
+
+// Example: 10 items, 3 at a time
+async function processWithPool(items) {
+  const start = Date.now();
+
+  const results = await asyncPool(
+    items,
+    (item) => delay(500, `Processed: ${item}`),
+    {
+      concurrency: 3,
+      onProgress: ({ completed, total }) => console.log(`Progress: ${completed}/${total}`)
+    }
+  );
+
+  console.log(results);
+  console.log(`Done in ${Date.now() - start}ms`); // ~2000ms (4 rounds of 3)
+  return results;
+}
+
+// processWithPool(['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J']);
+
+// Collect errors instead of stopping
+async function fetchAllUsersSafely(ids) {
+  const { results, errors } = await asyncPool(
+    ids,
+    async (id) => {
+      const response = await apiFetch(`/users/${id}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    },
+    { concurrency: 2, failFast: false }
+  );
+
+  console.log('Loaded:', results.filter(Boolean).length, 'Failed:', errors.length);
+  errors.forEach(({ item, error }) => console.log(`User ${item}:`, error.message));
+  return results;
+}
+
+// fetchAllUsersSafely([1, 2, 3, 999]);
+
+// 12. Mock API server - run every fetch example offline
+// An in-process stand-in for jsonplaceholder: same routes, seeded data,
+// plus knobs for latency and failures so error paths can be tested too.
+// Routes: /users, /users/:id, /posts, /posts/:id, /posts/:id/comments, /comments
+// Query filters: ?userId=1, ?postId=1, ?_limit=5, ?_page=2&_limit=5
+function createMockServer(options = {}) {
+  const {
+    latency = 50,          // ms, or [min, max] for random latency
+    failureRate = 0,       // 0-1 chance of a 500 response
+    userCount = 5,
+    postsPerUser = 3,
+    commentsPerPost = 2,
+    clock = realClock
+  } = options;
+
+  const names = ['Leanne Graham', 'Ervin Howell', 'Clementine Bauch', 'Patricia Lebsack', 'Chelsey Dietrich'];
+
+  const db = { users: [], posts: [], comments: [] };
+
+  for (let userId = 1; userId <= userCount; userId++) {
+    const name = names[(userId - 1) % names.length];
+    const username = name.split(' ')[0].toLowerCase() + userId;
+
+    db.users.push({ id: userId, name, username, email: `${username}@example.com` });
+
+    for (let p = 1; p <= postsPerUser; p++) {
+      const postId = db.posts.length + 1;
+      db.posts.push({
+        id: postId,
+        userId,
+        title: `Post ${postId} by ${name}`,
+        body: `This is the body of post ${postId}. It was written by ${name} for testing.`
+      });
+
+      for (let c = 1; c <= commentsPerPost; c++) {
+        const commentId = db.comments.length + 1;
+        db.comments.push({
+          id: commentId,
+          postId,
+          name: `Comment ${commentId}`,
+          email: `reader${commentId}@example.com`,
+          body: `Comment ${commentId} on post ${postId}`
+        });
+      }
+    }
+  }
+
+  let currentLatency = latency;
+  let currentFailureRate = failureRate;
+  const forcedFailures = []; // Queue of { status } or { networkError: true }
+  const requests = [];       // Log of every request, handy in tests
+
+  function pickLatency() {
+    if (Array.isArray(currentLatency)) {
+      const [min, max] = currentLatency;
+      return min + Math.random() * (max - min);
+    }
+    return currentLatency;
+  }
+
+  function jsonResponse(status, body) {
+    const text = JSON.stringify(body);
+
+    // Use the real Response class when there is one (browsers, Node 18+)
+    if (typeof Response === 'function') {
+      return new Response(text, { status, headers: { 'Content-Type': 'application/json' } });
+    }
+
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: new Map([['Content-Type', 'application/json']]),
+      json: async () => JSON.parse(text),
+      text: async () => text
+    };
+  }
+
+  function filterByQuery(items, query) {
+    let result = items;
+
+    for (const [key, value] of query) {
+      if (key === '_limit' || key === '_page') continue;
+      result = result.filter(item => String(item[key]) === value);
+    }
+
+    if (query.has('_limit')) {
+      const limit = Number(query.get('_limit'));
+      const page = Number(query.get('_page') || 1); // 1-based, like jsonplaceholder
+      result = result.slice((page - 1) * limit, page * limit);
+    }
+
+    return result;
+  }
+
+  function route(method, url) {
+    if (method !== 'GET') {
+      return jsonResponse(405, { error: 'Only GET is supported' });
+    }
+
+    const parts = url.pathname.split('/').filter(Boolean); // ['posts', '1', 'comments']
+    const [resource, id, nested] = parts;
+
+    if (!db[resource]) {
+      return jsonResponse(404, {});
+    }
+
+    if (id === undefined) {
+      return jsonResponse(200, filterByQuery(db[resource], url.searchParams));
+    }
+
+    const item = db[resource].find(entry => entry.id === Number(id));
+    if (!item) {
+      return jsonResponse(404, {});
+    }
+
+    if (nested === 'comments' && resource === 'posts') {
+      return jsonResponse(200, db.comments.filter(comment => comment.postId === item.id));
+    }
+
+    return nested === undefined ? jsonResponse(200, item) : jsonResponse(404, {});
+  }
+
+  // Drop-in replacement for fetch(url, options)
+  function mockFetch(input, init = {}) {
+    const url = new URL(String(input), 'http://mock.local');
+    const method = (init.method || 'GET').toUpperCase();
+    const signal = init.signal;
+
+    requests.push({ method, path: url.pathname + url.search });
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        clock.clearTimeout(timerId);
+        reject(signal.reason);
+      };
+
+      const timerId = clock.setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+
+        const forced = forcedFailures.shift();
+        if (forced && forced.networkError) {
+          reject(new TypeError('Failed to fetch'));
+          return;
+        }
+        if (forced) {
+          resolve(jsonResponse(forced.status, { error: 'Injected failure' }));
+          return;
+        }
+        if (Math.random() < currentFailureRate) {
+          resolve(jsonResponse(500, { error: 'Random failure' }));
+          return;
+        }
+
+        resolve(route(method, url));
+      }, pickLatency());
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  return {
+    fetch: mockFetch,
+    db,
+    requests,
+    setLatency: (value) => { currentLatency = value; },
+    setFailureRate: (rate) => { currentFailureRate = rate; },
+    // Make the next `count` requests fail with this status
+    failNext: (count = 1, status = 500) => {
+      for (let i = 0; i < count; i++) forcedFailures.push({ status });
+    },
+    // Make the next `count` requests fail like a dropped connection
+    disconnectNext: (count = 1) => {
+      for (let i = 0; i < count; i++) forcedFailures.push({ networkError: true });
+    }
+  };
+}
+
+// Point apiFetch at a mock server; returns a function that restores the real API
+function useMockServer(server) {
+  const previous = { ...apiConfig };
+
+  apiConfig.baseUrl = 'http://mock.local';
+  apiConfig.fetch = server.fetch;
+
+  return () => Object.assign(apiConfig, previous);
+}
+
+async function runExamplesOffline() {
+  const server = createMockServer({ latency: [20, 80] });
+  const restore = useMockServer(server);
+
+  try {
+    await fetchUserData(1);           // Got user: Leanne Graham, Posts: 3
+    await fetchMultipleUsers([1, 2, 3]);
+
+    server.failNext(2, 503);
+    await fetchWithRetry('/users/2'); // Fails twice, succeeds on attempt 3
+
+    server.setLatency(5000);
+    await fetchWithTimeout('/users/1', 100); // Times out, request aborted
+
+    console.log('Requests made:', server.requests.length);
+  } finally {
+    restore();
+  }
+}
+
+// runExamplesOffline();
+
+// 13. Background task queue - priorities, pause/resume, retries, persistence
+// For jobs like uploads and sync that outlive a single await.
+// - handlers are registered by job type, so jobs stay plain data and
+//   can be saved (serialize) and loaded again after a reload (restore)
+// - higher priority runs first, same priority runs in order added
+// - lifecycle: queued -> running -> succeeded | failed (retried goes back to queued)
+// - events: queued, started, progress, succeeded, failed, retried, idle, paused, resumed
+function createTaskQueue(options = {}) {
+  const {
+    handlers = {},         // { upload: async (payload, { reportProgress, attempt }) => result }
+    concurrency = 2,
+    maxRetries = 2,
+    retryDelay = 1000,     // Doubles after each failed attempt
+    autoStart = true,
+    onPersist = null,      // Called with serialize() whenever pending jobs change
+    clock = realClock
+  } = options;
+
+  const listeners = new Map();
+  const waiting = [];      // Queued jobs, highest priority first
+  const running = new Set();
+  const retrying = new Set(); // Jobs sitting out their retry delay
+  const results = new Map();  // id -> { promise, resolve, reject }, until the job settles
+  let paused = !autoStart;
+  let nextId = 1;
+
+  // A throwing listener is a UI bug, not a job failure - log it and move on
+  function emit(event, payload) {
+    (listeners.get(event) || []).forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Task queue "${event}" listener failed:`, error);
+      }
+    });
+  }
+
+  function on(event, listener) {
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(listener);
+    return () => listeners.get(event).delete(listener);
+  }
 
-console.log('\n Async/Await Examples');
-console.log('Uncomment any function to test it\n');
\ No newline at end of file
+  function persist() {
+    if (onPersist) onPersist(serialize());
+  }
+
+  function insertByPriority(job) {
+    const index = waiting.findIndex(other => other.priority < job.priority);
+    if (index === -1) {
+      waiting.push(job);
+    } else {
+      waiting.splice(index, 0, job);
+    }
+  }
+
+  function trackResult(id) {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    promise.catch(() => {}); // Failures are reported through events too
+    results.set(id, { promise, resolve, reject });
+  }
+
+  // Settled jobs are forgotten so a long-lived queue doesn't grow forever
+  function settle(id, method, value) {
+    const result = results.get(id);
+    results.delete(id);
+    result[method](value);
+  }
+
+  function enqueue(job) {
+    insertByPriority(job);
+    trackResult(job.id);
+    emit('queued', job);
+    persist();
+    pump();
+    return job;
+  }
+
+  function add(type, payload, jobOptions = {}) {
+    if (!handlers[type]) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    return enqueue({
+      id: jobOptions.id || `job-${nextId++}`,
+      type,
+      payload,
+      priority: jobOptions.priority || 0,
+      maxRetries: jobOptions.maxRetries !== undefined ? jobOptions.maxRetries : maxRetries,
+      attempts: 0,
+      status: 'queued',
+      progress: 0,
+      createdAt: clock.now()
+    });
+  }
+
+  async function runJob(job) {
+    job.status = 'running';
+    job.attempts++;
+    running.add(job);
+    emit('started', job);
+
+    const context = {
+      attempt: job.attempts,
+      reportProgress: (progress) => {
+        job.progress = progress;
+        emit('progress', job);
+      }
+    };
+
+    // Only the handler goes in the try - bookkeeping after it must never
+    // count as a failed attempt
+    let result;
+    let error;
+    let failed = false;
+    try {
+      result = await handlers[job.type](job.payload, context);
+    } catch (handlerError) {
+      failed = true;
+      error = handlerError;
+    }
+
+    running.delete(job);
+
+    if (!failed) {
+      job.status = 'succeeded';
+      emit('succeeded', { ...job, result });
+      settle(job.id, 'resolve', result);
+    } else if (job.attempts <= job.maxRetries) {
+      job.status = 'retried';
+      retrying.add(job);
+      emit('retried', { ...job, error });
+      persist(); // Still pending - a reload during the delay must keep it
+
+      await delay(retryDelay * 2 ** (job.attempts - 1), undefined, clock);
+      retrying.delete(job);
+      job.status = 'queued';
+      insertByPriority(job);
+    } else {
+      job.status = 'failed';
+      emit('failed', { ...job, error });
+      settle(job.id, 'reject', error);
+    }
+
+    persist();
+    pump();
+  }
+
+  function pump() {
+    while (!paused && running.size < concurrency && waiting.length) {
+      runJob(waiting.shift());
+    }
+
+    if (isIdle()) {
+      emit('idle');
+    }
+  }
+
+  function isIdle() {
+    return running.size === 0 && waiting.length === 0 && retrying.size === 0;
+  }
+
+  function pause() {
+    paused = true; // Running jobs finish, nothing new starts
+    emit('paused');
+  }
+
+  function resume() {
+    paused = false;
+    emit('resumed');
+    pump();
+  }
+
+  // Resolves once nothing is queued, running or waiting to retry
+  function drain() {
+    return new Promise(resolve => {
+      if (isIdle()) {
+        resolve();
+        return;
+      }
+
+      const stop = on('idle', () => {
+        stop();
+        resolve();
+      });
+    });
+  }
+
+  // Promise for one job's result - ask before it settles, finished jobs aren't kept
+  function whenDone(id) {
+    return results.has(id) ? results.get(id).promise : Promise.reject(new Error(`Unknown job "${id}"`));
+  }
+
+  // Plain JSON for localStorage / IndexedDB. Running and retrying jobs are
+  // saved as queued (attempts kept) so they run again after a reload.
+  function serialize() {
+    return [...running, ...retrying, ...waiting].map(job => ({ ...job, status: 'queued' }));
+  }
+
+  function restore(records) {
+    records.forEach(record => {
+      const number = Number(String(record.id).replace('job-', ''));
+      if (number >= nextId) nextId = number + 1; // Don't reuse restored ids
+      enqueue({ ...record, status: 'queued' });
+    });
+  }
+
+  function getStats() {
+    return { queued: waiting.length, running: running.size, retrying: retrying.size, paused };
+  }
+
+  return { add, on, pause, resume, drain, whenDone, serialize, restore, getStats };
+}
+
+// Example: uploads that survive a page reload
+function setupUploadQueue() {
+  const queue = createTaskQueue({
+    concurrency: 2,
+    handlers: {
+      upload: async (file, { reportProgress }) => {
+        for (let percent = 25; percent <= 100; percent += 25) {
+          await delay(200);
+          reportProgress(percent);
+        }
+        return `${file.name} uploaded`;
+      },
+      sync: async () => delay(100, 'synced')
+    },
+    onPersist: (jobs) => {
+      // localStorage.setItem('pending-jobs', JSON.stringify(jobs));
+      console.log('Pending jobs saved:', jobs.length);
+    }
+  });
+
+  queue.on('progress', job => console.log(`${job.payload.name}: ${job.progress}%`));
+  queue.on('succeeded', job => console.log('Done:', job.result));
+  queue.on('failed', job => console.log('Gave up on', job.id, job.error.message));
+
+  // After a reload:
+  // queue.restore(JSON.parse(localStorage.getItem('pending-jobs') || '[]'));
+
+  queue.add('upload', { name: 'photo.jpg' });
+  queue.add('upload', { name: 'video.mp4' });
+  queue.add('sync', {}, { priority: 10 }); // Jumps ahead of any uploads still queued
+
+  return queue;
+}
+
+// const uploads = setupUploadQueue();
+// uploads.pause();  // e.g. went offline
+// uploads.resume(); // back online
+// uploads.drain().then(() => console.log('All uploads finished'));
+
+// Check: a listener that throws must not fail, retry or reject the job
+async function checkTaskQueueListenerErrors() {
+  let uploads = 0;
+  const queue = createTaskQueue({
+    retryDelay: 0,
+    handlers: {
+      upload: async (file, { reportProgress }) => {
+        uploads++;
+        reportProgress(100);
+        return `${file.name} uploaded`;
+      }
+    }
+  });
+
+  queue.on('progress', () => { throw new Error('UI listener bug'); });
+  queue.on('succeeded', () => { throw new Error('UI listener bug'); });
+
+  const originalError = console.error;
+  console.error = () => {}; // The listener errors are expected here
+
+  try {
+    const job = queue.add('upload', { name: 'photo.jpg' });
+    const result = await queue.whenDone(job.id);
+    await queue.drain();
+
+    const passed = uploads === 1 && result === 'photo.jpg uploaded';
+    console.log(`${passed ? 'PASS' : 'FAIL'} listener errors don't fail jobs (ran ${uploads}x)`);
+    return passed;
+  } catch (error) {
+    console.log(`FAIL listener errors don't fail jobs (${error.message})`);
+    return false;
+  } finally {
+    console.error = originalError;
+  }
+}
+
+// checkTaskQueueListenerErrors(); // PASS listener errors don't fail jobs (ran 1x)
+
+// 14. Async iterators - process big remote datasets piece by piece
+// `for await...of` pulls one item at a time, so nothing loads until it's needed.
+// Paging helper:
+async function* paginate(fetchPage, options = {}) {
+  const { startPage = 1 } = options;
+
+  for (let page = startPage; ; page++) {
+    const items = await fetchPage(page);
+    if (!items || items.length === 0) return; // Empty page = no more data
+
+    yield* items;
+  }
+}
+
+// Pull /posts 10 at a time, only as fast as the consumer asks
+function paginateApi(path, pageSize = 10) {
+  return paginate(async (page) => {
+    const response = await apiFetch(`${path}?_page=${page}&_limit=${pageSize}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+  });
+}
+
+// Operators - each takes an (async) iterable and returns a new async iterable
+async function* mapAsync(source, fn) {
+  let index = 0;
+  for await (const item of source) {
+    yield await fn(item, index++);
+  }
+}
+
+async function* filterAsync(source, predicate) {
+  let index = 0;
+  for await (const item of source) {
+    if (await predicate(item, index++)) yield item;
+  }
+}
+
+// Stops pulling after `count` items - later pages are never fetched
+async function* takeAsync(source, count) {
+  if (count <= 0) return;
+
+  let taken = 0;
+  for await (const item of source) {
+    yield item;
+    if (++taken >= count) return; // Leaving the loop closes the source
+  }
+}
+
+// Groups items into arrays of `size` (last batch may be smaller)
+async function* batchAsync(source, size) {
+  let batch = [];
+
+  for await (const item of source) {
+    batch.push(item);
+    if (batch.length === size) {
+      yield batch;
+      batch = [];
+    }
+  }
+
+  if (batch.length) yield batch;
+}
+
+// Reads several sources at once (at most `concurrency` at a time) and
+// yields items in whatever order they arrive
+async function* mergeWithConcurrency(sources, concurrency = 2) {
+  const pendingSources = [...sources];
+  const active = new Map(); // iterator -> promise of its next result
+
+  function startNext() {
+    const source = pendingSources.shift();
+    const iterator = source[Symbol.asyncIterator]
+      ? source[Symbol.asyncIterator]()
+      : source[Symbol.iterator]();
+    pull(iterator);
+  }
+
+  function pull(iterator) {
+    active.set(iterator, Promise.resolve(iterator.next()).then(result => ({ iterator, result })));
+  }
+
+  while (active.size < concurrency && pendingSources.length) {
+    startNext();
+  }
+
+  try {
+    while (active.size) {
+      const { iterator, result } = await Promise.race(active.values());
+
+      if (result.done) {
+        active.delete(iterator);
+        if (pendingSources.length) startNext();
+        continue;
+      }
+
+      pull(iterator); // Ask for the next one before handing this one out
+      yield result.value;
+    }
+  } finally {
+    // Consumer stopped early - close anything still open
+    for (const iterator of active.keys()) {
+      if (iterator.return) iterator.return();
+    }
+  }
+}
+
+// Backpressure: read ahead up to `highWaterMark` items while the consumer is
+// busy, but stop pulling from the source once the buffer is full
+async function* bufferAsync(source, highWaterMark = 10) {
+  const iterator = source[Symbol.asyncIterator]
+    ? source[Symbol.asyncIterator]()
+    : source[Symbol.iterator]();
+  const buffer = [];
+  let filling = null;
+  let done = false;
+  let failure = null;
+
+  function fill() {
+    if (filling || done || buffer.length >= highWaterMark) return;
+
+    filling = (async () => {
+      try {
+        while (!done && buffer.length < highWaterMark) {
+          const result = await iterator.next();
+          if (result.done) {
+            done = true;
+          } else {
+            buffer.push(result.value);
+          }
+        }
+      } catch (error) {
+        failure = error;
+        done = true;
+      } finally {
+        filling = null;
+      }
+    })();
+  }
+
+  try {
+    while (true) {
+      fill();
+
+      if (buffer.length === 0) {
+        if (done) break;
+        await filling;
+        continue;
+      }
+
+      yield buffer.shift();
+    }
+
+    if (failure) throw failure;
+  } finally {
+    if (!done && iterator.return) {
+      await filling; // Don't close the source mid-read
+      await iterator.return();
+    }
+  }
+}
+
+// Consume with a slow handler - the source is only read as fast as we process
+async function consume(source, handler) {
+  let count = 0;
+  for await (const item of source) {
+    await handler(item, count++);
+  }
+  return count;
+}
+
+// Example: find the first 5 long post titles, saving them in batches of 2
+async function streamPosts() {
+  const posts = paginateApi('/posts', 10);
+
+  const longTitles = mapAsync(
+    filterAsync(posts, post => post.title.length > 20),
+    post => post.title
+  );
+
+  const count = await consume(
+    batchAsync(takeAsync(longTitles, 5), 2),
+    async (batch) => {
+      console.log('Saving batch:', batch);
+      await delay(100); // Slow consumer - no pages are fetched meanwhile
+    }
+  );
+
+  console.log('Batches saved:', count);
+}
+
+// useMockServer(createMockServer({ userCount: 5, postsPerUser: 10 }));
+// streamPosts(); // Fetches only the first page or so - not all 50 posts
+
+// 15. Typed results for async work - no more "log it and return null"
+// Logging and returning null hides failures: the caller can't tell "no data"
+// from "failed". A Result keeps both cases explicit (withErrorHandling above):
+//   { ok: true, value }  or  { ok: false, error }
+function ok(value) {
+  return { ok: true, value };
+}
+
+function err(error) {
+  return { ok: false, error };
+}
+
+// Never throws - always resolves with a Result
+async function tryAsync(fn, ...args) {
+  try {
+    return ok(await fn(...args));
+  } catch (error) {
+    return err(error);
+  }
+}
+
+// An error that says WHICH task failed, with the original kept as `cause`
+class TaskError extends Error {
+  constructor(task, cause) {
+    super(`Task "${task}" failed: ${cause && cause.message ? cause.message : cause}`, { cause });
+    this.name = 'TaskError';
+    this.task = task;
+  }
+}
+
+// Several tasks failed - keeps every TaskError, not just the first one
+class TaskAggregateError extends AggregateError {
+  constructor(errors, message = `${errors.length} task(s) failed`) {
+    super(errors, message);
+    this.name = 'TaskAggregateError';
+  }
+
+  // { profile: Error, settings: Error }
+  byTask() {
+    return Object.fromEntries(this.errors.map(error => [error.task, error.cause]));
+  }
+}
+
+// Turn Promise.allSettled output into { values, errors }
+// `names` labels each result: values are keyed by task name
+// ({ user: ..., posts: ... }) and each error is a TaskError for its task
+function partitionSettled(settledResults, names = []) {
+  const values = {};
+  const errors = [];
+
+  settledResults.forEach((result, index) => {
+    const task = names[index] !== undefined ? String(names[index]) : String(index);
+
+    if (result.status === 'fulfilled') {
+      values[task] = result.value;
+    } else {
+      errors.push(new TaskError(task, result.reason));
+    }
+  });
+
+  return { values, errors };
+}
+
+// Sync throws become rejections, so one bad task can't break the batch
+function startTask(task) {
+  return new Promise(resolve => resolve(task()));
+}
+
+// Run named tasks in parallel and get a Result for each one
+// settleAll({ user: () => fetchUser(), posts: () => fetchPosts() })
+// -> { user: { ok: true, value }, posts: { ok: false, error: TaskError } }
+async function settleAll(tasks) {
+  const names = Object.keys(tasks);
+  const settled = await Promise.allSettled(names.map(name => startTask(tasks[name])));
+
+  return Object.fromEntries(settled.map((result, index) => [
+    names[index],
+    result.status === 'fulfilled'
+      ? ok(result.value)
+      : err(new TaskError(names[index], result.reason))
+  ]));
+}
+
+// Like Promise.all for named tasks, but when anything fails it waits for the
+// rest and rejects with ALL the failures instead of just the first
+async function allOrAggregate(tasks) {
+  const names = Object.keys(tasks);
+  const settled = await Promise.allSettled(names.map(name => startTask(tasks[name])));
+  const { values, errors } = partitionSettled(settled, names);
+
+  if (errors.length) {
+    throw new TaskAggregateError(errors);
+  }
+
+  return values;
+}
+
+async function loadDashboard() {
+  const results = await settleAll({
+    profile: () => delay(100, { name: 'John' }),
+    notifications: () => randomOperation(),
+    stats: () => Promise.reject(new Error('Stats service down'))
+  });
+
+  if (!results.profile.ok) {
+    throw results.profile.error; // Can't render without a profile
+  }
+
+  // Optional widgets degrade gracefully
+  const notifications = results.notifications.ok ? results.notifications.value : 'unavailable';
+  console.log('Profile:', results.profile.value.name, 'Notifications:', notifications);
+
+  Object.values(results)
+    .filter(result => !result.ok)
+    .forEach(({ error }) => console.log(error.message, '<- caused by:', error.cause));
+}
+
+// loadDashboard();
+
+async function loadAllOrNothing() {
+  try {
+    return await allOrAggregate({
+      user: () => delay(100, { id: 1 }),
+      settings: () => Promise.reject(new Error('Settings timeout')),
+      permissions: () => Promise.reject(new Error('403 Forbidden'))
+    });
+  } catch (error) {
+    if (error instanceof TaskAggregateError) {
+      console.log(error.message);   // 2 task(s) failed
+      console.log(error.byTask());  // { settings: Error, permissions: Error }
+    }
+    return null;
+  }
+}
+
+// loadAllOrNothing();
+
+// Other topics require() this file for its helpers - only print the
+// banner when it's run directly
+if (typeof module === 'undefined' || require.main === module) {
+  console.log('\n Async/Await Examples');
+  console.log('Uncomment any function to test it\n');
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    apiConfig,
+    apiFetch,
+    createMockServer,
+    useMockServer,
+    withTimeout,
+    TimeoutError,
+    TaskError,
+    partitionSettled
+  };
+}
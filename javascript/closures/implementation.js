@@ -305,5 +305,107 @@ const userModule = (function() {
 // console.log(userModule.getUsers());
 // console.log(userModule.users); // undefined - private!
 
-console.log('\n Closure Examples');
-console.log('Uncomment any function to test it\n');
\ No newline at end of file
+// 15. Async memoization - TTL, shared in-flight requests, invalidation
+// memoize above caches forever and doesn't understand promises. This one:
+// - shares one in-flight promise between concurrent calls with the same key
+// - never caches rejections (the next call tries again)
+// - expires entries after ttl, and can serve a stale value while it
+//   refreshes in the background (staleWhileRevalidate)
+// - invalidates a single key or everything under a prefix
+function memoizeAsync(fn, options = {}) {
+  const {
+    ttl = Infinity,           // How long a value stays fresh (ms)
+    staleWhileRevalidate = 0, // How long after ttl a stale value may still be served
+    key = (...args) => (args.length === 1 && typeof args[0] !== 'object'
+      ? String(args[0])
+      : JSON.stringify(args)),
+    clock = { now: () => Date.now() }
+  } = options;
+
+  const cache = new Map();    // key -> { value, freshUntil, staleUntil }
+  const inFlight = new Map(); // key -> promise
+
+  function load(context, cacheKey, args) {
+    if (inFlight.has(cacheKey)) {
+      return inFlight.get(cacheKey);
+    }
+
+    const promise = new Promise(resolve => resolve(fn.apply(context, args)))
+      .then(value => {
+        // Invalidated while loading? Then don't store the old result
+        if (inFlight.get(cacheKey) === promise) {
+          const freshUntil = clock.now() + ttl;
+          cache.set(cacheKey, { value, freshUntil, staleUntil: freshUntil + staleWhileRevalidate });
+        }
+        return value;
+      })
+      .finally(() => {
+        if (inFlight.get(cacheKey) === promise) {
+          inFlight.delete(cacheKey);
+        }
+      });
+
+    inFlight.set(cacheKey, promise);
+    return promise;
+  }
+
+  function memoized(...args) {
+    const cacheKey = key(...args);
+    const entry = cache.get(cacheKey);
+    const now = clock.now();
+
+    if (entry && now < entry.freshUntil) {
+      return Promise.resolve(entry.value);
+    }
+
+    if (entry && now < entry.staleUntil) {
+      // Refresh in the background; if it fails we keep the stale value
+      load(this, cacheKey, args).catch(() => {});
+      return Promise.resolve(entry.value);
+    }
+
+    cache.delete(cacheKey);
+    return load(this, cacheKey, args);
+  }
+
+  memoized.invalidate = (cacheKey) => {
+    cache.delete(cacheKey);
+    inFlight.delete(cacheKey);
+  };
+
+  memoized.invalidatePrefix = (prefix) => {
+    [...cache.keys(), ...inFlight.keys()]
+      .filter(cacheKey => cacheKey.startsWith(prefix))
+      .forEach(memoized.invalidate);
+  };
+
+  memoized.clear = () => {
+    cache.clear();
+    inFlight.clear();
+  };
+
+  return memoized;
+}
+
+const fetchProfile = memoizeAsync((url) => {
+  console.log('Fetching:', url);
+  return new Promise(resolve => {
+    setTimeout(() => resolve({ url, loadedAt: Date.now() }), 100);
+  });
+}, { ttl: 60000, staleWhileRevalidate: 300000 });
+
+// Promise.all([fetchProfile('/users/1'), fetchProfile('/users/1')]); // Fetching: /users/1 (once)
+// fetchProfile('/users/1');              // Cached for a minute
+// fetchProfile.invalidate('/users/1');   // Next call fetches again
+// fetchProfile.invalidatePrefix('/users/'); // Drop every user at once
+
+// Other topics require() this file for its helpers - only print the
+// banner when it's run directly
+if (typeof module === 'undefined' || require.main === module) {
+  console.log('\n Closure Examples');
+  console.log('Uncomment any function to test it\n');
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { memoizeAsync };
+}
@@ -1,11 +1,14 @@
+// Helper: realClock / createFakeClock live in event_loop/implementation.js (section 19)
+const { realClock, createFakeClock } = require('../event_loop/implementation.js');
+
 // 1. Basic debounce implementation
-function debounce(func, delay) {
+function debounce(func, delay, clock = realClock) {
   let timeoutId;
   
   return function(...args) {
-    clearTimeout(timeoutId);
+    clock.clearTimeout(timeoutId);
     
-    timeoutId = setTimeout(() => {
+    timeoutId = clock.setTimeout(() => {
       func.apply(this, args);
     }, delay);
   };
@@ -23,7 +26,7 @@ const debouncedSearch = debounce(search, 500);
 // debouncedSearch('hello');   // Executes after 500ms
 
 // 2. Basic throttle implementation
-function throttle(func, limit) {
+function throttle(func, limit, clock = realClock) {
   let inThrottle;
   
   return function(...args) {
@@ -31,7 +34,7 @@ function throttle(func, limit) {
       func.apply(this, args);
       inThrottle = true;
       
-      setTimeout(() => {
+      clock.setTimeout(() => {
         inThrottle = false;
       }, limit);
     }
@@ -153,30 +156,38 @@ function updateScrollProgress() {
   console.log('Scroll progress:', Math.round(scrollPercent) + '%');
 }
 
-const throttledScrollProgress = throttle(updateScrollProgress, 100);
+// Visual update - at most once per frame (see 23) instead of a guessed 100ms
+const throttledScrollProgress = throttleFrame(updateScrollProgress);
 
 // window.addEventListener('scroll', throttledScrollProgress);
 
 // 8. Real-world: Auto-save with debounce
-const autoSave = (function() {
+// Built on the auto-save engine (see 25) so failed saves retry and
+// closing the tab doesn't lose the last edit
+function setupAutoSave() {
   let savedData = '';
   
-  function save(data) {
+  async function save(data) {
     savedData = data;
     console.log('Auto-saved:', data);
-    // API call to save data
+    // await fetch('/api/draft', { method: 'PUT', body: JSON.stringify(data) })
   }
   
-  const debouncedSave = debounce(save, 2000);
+  const engine = createAutoSave({ save, delay: 2000 });
   
   return {
     updateContent: function(content) {
       console.log('Content changed:', content);
-      debouncedSave(content);
-    }
+      engine.update(content);
+    },
+    onStatus: engine.subscribe,
+    flush: engine.flush,
+    destroy: engine.destroy
   };
-})();
+}
 
+// const autoSave = setupAutoSave();
+// autoSave.onStatus(({ status }) => console.log('Status:', status));
 // autoSave.updateContent('Hello');
 // autoSave.updateContent('Hello World');
 // autoSave.updateContent('Hello World!');
@@ -262,24 +273,240 @@ function trackMousePosition(event) {
   // Update UI elements based on position
 }
 
-const throttledMouseMove = throttle(trackMousePosition, 100);
+const throttledMouseMove = throttleFrame(trackMousePosition); // Latest event each frame
 
 // document.addEventListener('mousemove', throttledMouseMove);
 
 // 13. Real-world: API rate limiting
+// throttle() just drops extra calls. A real rate limiter queues them instead.
+// Strategies:
+// - 'token-bucket': `limit` tokens refill evenly over `interval`, bursts allowed
+// - 'sliding-window': at most `limit` calls in any `interval` ms
+// When the queue is full (maxQueue), `overflow` decides:
+// - 'reject': the new call rejects with RateLimitError
+// - 'drop': the new call is skipped and resolves with { dropped: true, key }
+//   (not undefined, which a task could return itself)
+// - 'wait': the new call waits for a queue slot
+// Each key (e.g. endpoint) gets its own bucket; `keys` overrides per key
+class RateLimitError extends Error {
+  constructor(key, queued) {
+    super(`Rate limit queue full for "${key}" (${queued} waiting)`);
+    this.name = 'RateLimitError';
+    this.key = key;
+  }
+}
+
+function createRateLimiter(options = {}) {
+  const {
+    strategy = 'token-bucket',
+    limit = 5,
+    interval = 1000,
+    maxQueue = Infinity,
+    overflow = 'reject',
+    keys = {},
+    clock = realClock
+  } = options;
+
+  const buckets = new Map();
+
+  function createBucket(key) {
+    const config = { strategy, limit, interval, maxQueue, overflow, ...keys[key] };
+
+    return {
+      key,
+      config,
+      tokens: config.limit,       // token-bucket
+      lastRefill: clock.now(),    // token-bucket
+      timestamps: [],             // sliding-window
+      queue: [],
+      waitingForRoom: [],         // overflow: 'wait'
+      timerId: null,
+      stats: { executed: 0, rejected: 0, dropped: 0 }
+    };
+  }
+
+  function getBucket(key) {
+    if (!buckets.has(key)) {
+      buckets.set(key, createBucket(key));
+    }
+
+    return buckets.get(key);
+  }
+
+  function refill(bucket) {
+    const { limit: capacity, interval: window } = bucket.config;
+    const now = clock.now();
+
+    if (bucket.config.strategy === 'token-bucket') {
+      const earned = ((now - bucket.lastRefill) / window) * capacity;
+      bucket.tokens = Math.min(capacity, bucket.tokens + earned);
+      bucket.lastRefill = now;
+    } else {
+      // Forget calls that slid out of the window
+      while (bucket.timestamps.length && bucket.timestamps[0] <= now - window) {
+        bucket.timestamps.shift();
+      }
+    }
+  }
+
+  function tryAcquire(bucket) {
+    refill(bucket);
+
+    if (bucket.config.strategy === 'token-bucket') {
+      if (bucket.tokens < 1) return false;
+      bucket.tokens -= 1;
+      return true;
+    }
+
+    if (bucket.timestamps.length >= bucket.config.limit) return false;
+    bucket.timestamps.push(clock.now());
+    return true;
+  }
+
+  // How long until the next call is allowed
+  function timeUntilAvailable(bucket) {
+    const { limit: capacity, interval: window } = bucket.config;
+
+    if (bucket.config.strategy === 'token-bucket') {
+      return Math.ceil(((1 - bucket.tokens) / capacity) * window);
+    }
+
+    return bucket.timestamps[0] + window - clock.now();
+  }
+
+  function remaining(bucket) {
+    refill(bucket);
+
+    if (bucket.config.strategy === 'token-bucket') {
+      return Math.floor(bucket.tokens);
+    }
+
+    return bucket.config.limit - bucket.timestamps.length;
+  }
+
+  function runJob(bucket, job) {
+    bucket.stats.executed++;
+
+    // Wrap in a Promise so sync throws become rejections too
+    new Promise(resolve => resolve(job.task()))
+      .then(job.resolve, job.reject);
+  }
+
+  function hasWaiting(bucket) {
+    return bucket.queue.length > 0 || bucket.waitingForRoom.length > 0;
+  }
+
+  function drain(bucket) {
+    bucket.timerId = null;
+
+    while (hasWaiting(bucket) && tryAcquire(bucket)) {
+      // With maxQueue: 0 callers only ever wait for room - serve them directly
+      runJob(bucket, bucket.queue.length ? bucket.queue.shift() : bucket.waitingForRoom.shift());
+
+      // Queue slots opened up - let waiting callers in
+      while (bucket.waitingForRoom.length && bucket.queue.length < bucket.config.maxQueue) {
+        bucket.queue.push(bucket.waitingForRoom.shift());
+      }
+    }
+
+    if (hasWaiting(bucket)) {
+      bucket.timerId = clock.setTimeout(() => drain(bucket), Math.max(1, timeUntilAvailable(bucket)));
+    }
+  }
+
+  function schedule(key, task) {
+    const bucket = getBucket(key);
+
+    return new Promise((resolve, reject) => {
+      const job = { task, resolve, reject };
+
+      // Nobody ahead of us and a call is allowed - no queueing needed
+      if (!hasWaiting(bucket) && tryAcquire(bucket)) {
+        runJob(bucket, job);
+        return;
+      }
+
+      // Only calls that actually have to queue count against maxQueue
+      if (bucket.queue.length >= bucket.config.maxQueue) {
+        if (bucket.config.overflow === 'wait') {
+          bucket.waitingForRoom.push(job);
+          if (bucket.timerId === null) drain(bucket);
+          return;
+        }
+
+        if (bucket.config.overflow === 'drop') {
+          bucket.stats.dropped++;
+          resolve({ dropped: true, key });
+          return;
+        }
+
+        bucket.stats.rejected++;
+        reject(new RateLimitError(key, bucket.queue.length));
+        return;
+      }
+
+      bucket.queue.push(job);
+
+      if (bucket.timerId === null) {
+        drain(bucket);
+      }
+    });
+  }
+
+  // Numbers for dashboards. Asking about a key that was never used
+  // reports a fresh bucket without creating one
+  function stats(key) {
+    const bucket = buckets.get(key) || createBucket(key);
+
+    return {
+      key,
+      strategy: bucket.config.strategy,
+      limit: bucket.config.limit,
+      remaining: remaining(bucket),
+      queued: bucket.queue.length,
+      waitingForRoom: bucket.waitingForRoom.length,
+      ...bucket.stats
+    };
+  }
+
+  function allStats() {
+    return [...buckets.keys()].map(stats);
+  }
+
+  return { schedule, stats, allStats };
+}
+
 const apiRateLimiter = (function() {
-  const callApi = throttle((endpoint, data) => {
-    console.log('API call to:', endpoint, 'with:', data);
-    // fetch(endpoint, { method: 'POST', body: JSON.stringify(data) })
-  }, 1000);
-  
+  const limiter = createRateLimiter({
+    strategy: 'token-bucket',
+    limit: 5,          // 5 calls per second, bursts of up to 5
+    interval: 1000,
+    maxQueue: 20,
+    overflow: 'reject',
+    keys: {
+      '/api/search': { strategy: 'sliding-window', limit: 2, interval: 1000 }
+    }
+  });
+
   return {
-    post: callApi
+    post: function(endpoint, data) {
+      return limiter.schedule(endpoint, () => {
+        console.log('API call to:', endpoint, 'with:', data);
+        // return fetch(endpoint, { method: 'POST', body: JSON.stringify(data) });
+        return data;
+      });
+    },
+    stats: limiter.stats,
+    allStats: limiter.allStats
   };
 })();
 
 // apiRateLimiter.post('/api/data', { value: 1 }); // Executes
-// apiRateLimiter.post('/api/data', { value: 2 }); // Ignored (within 1 second)
+// apiRateLimiter.post('/api/data', { value: 2 }); // Executes (burst)
+// apiRateLimiter.post('/api/search', { q: 'a' }); // Executes
+// apiRateLimiter.post('/api/search', { q: 'b' }); // Executes
+// apiRateLimiter.post('/api/search', { q: 'c' }); // Queued, runs ~1s later - not dropped
+// console.log(apiRateLimiter.stats('/api/search')); // { remaining: 0, queued: 1, ... }
 
 // 14. Real-world: Infinite scroll with throttle
 function loadMoreContent() {
@@ -400,7 +627,7 @@ function lazyLoadImages() {
   });
 }
 
-const throttledLazyLoad = throttle(lazyLoadImages, 200);
+const throttledLazyLoad = throttleFrame(lazyLoadImages);
 
 // window.addEventListener('scroll', throttledLazyLoad);
 
@@ -453,5 +680,718 @@ function compareDebounceThrottle() {
 
 // compareDebounceThrottle();
 
-console.log('\n Debouncing & Throttling Examples');
-console.log('Uncomment any function to see it in action\n');
\ No newline at end of file
+// 21. Unified controller - one timer engine for debounce AND throttle
+// Options:
+// - leading: run on the first call of a burst
+// - trailing: run after calls stop, with the latest arguments
+// - maxWait: never wait longer than this between runs while calls keep coming
+// - clock: swap in a fake clock for tests (defaults to realClock)
+// Every returned function gets cancel(), flush() and pending()
+function debounceAdvanced(func, wait, options = {}) {
+  const { leading = false, trailing = true, clock = realClock } = options;
+  const maxWait = options.maxWait !== undefined ? Math.max(options.maxWait, wait) : null;
+
+  let timeoutId = null;
+  let lastArgs = null;
+  let lastThis = null;
+  let lastCallTime = null;
+  let lastInvokeTime = 0;
+  let result;
+
+  function invoke(time) {
+    const args = lastArgs;
+    const context = lastThis;
+
+    lastArgs = null;
+    lastThis = null;
+    lastInvokeTime = time;
+    result = func.apply(context, args);
+    return result;
+  }
+
+  function shouldInvoke(time) {
+    if (lastCallTime === null) return true; // Very first call
+
+    const sinceLastCall = time - lastCallTime;
+    const sinceLastInvoke = time - lastInvokeTime;
+
+    return sinceLastCall >= wait ||
+      sinceLastCall < 0 || // System clock went backwards
+      (maxWait !== null && sinceLastInvoke >= maxWait);
+  }
+
+  function remainingWait(time) {
+    const waitLeft = wait - (time - lastCallTime);
+
+    if (maxWait === null) return waitLeft;
+    return Math.min(waitLeft, maxWait - (time - lastInvokeTime));
+  }
+
+  function leadingEdge(time) {
+    lastInvokeTime = time; // Start the maxWait window
+    timeoutId = clock.setTimeout(timerExpired, wait);
+    return leading ? invoke(time) : result;
+  }
+
+  function trailingEdge(time) {
+    timeoutId = null;
+
+    // Only run if there were calls since the last run
+    if (trailing && lastArgs) {
+      return invoke(time);
+    }
+
+    lastArgs = null;
+    lastThis = null;
+    return result;
+  }
+
+  function timerExpired() {
+    const time = clock.now();
+
+    if (shouldInvoke(time)) {
+      trailingEdge(time);
+    } else {
+      // Calls came in while we waited - restart for the time left
+      timeoutId = clock.setTimeout(timerExpired, remainingWait(time));
+    }
+  }
+
+  function controlled(...args) {
+    const time = clock.now();
+    const isInvoking = shouldInvoke(time);
+
+    lastArgs = args;
+    lastThis = this;
+    lastCallTime = time;
+
+    if (isInvoking) {
+      if (timeoutId === null) {
+        return leadingEdge(time);
+      }
+
+      if (maxWait !== null) {
+        // Calls never stopped, but maxWait is up - run now
+        clock.clearTimeout(timeoutId);
+        timeoutId = clock.setTimeout(timerExpired, wait);
+        return invoke(time);
+      }
+    }
+
+    if (timeoutId === null) {
+      timeoutId = clock.setTimeout(timerExpired, wait);
+    }
+
+    return result;
+  }
+
+  controlled.cancel = function() {
+    clock.clearTimeout(timeoutId);
+    timeoutId = null;
+    lastArgs = null;
+    lastThis = null;
+    lastCallTime = null;
+    lastInvokeTime = 0;
+  };
+
+  // Run the pending call right now instead of waiting
+  controlled.flush = function() {
+    if (timeoutId === null) return result;
+    clock.clearTimeout(timeoutId); // Otherwise the old timer lives on next to the next one
+    return trailingEdge(clock.now());
+  };
+
+  controlled.pending = function() {
+    return timeoutId !== null;
+  };
+
+  return controlled;
+}
+
+// Throttle is just a debounce that can't wait longer than `wait`
+function throttleAdvanced(func, wait, options = {}) {
+  const { leading = true, trailing = true, clock } = options;
+
+  return debounceAdvanced(func, wait, { leading, trailing, clock, maxWait: wait });
+}
+
+// The five wrappers above as presets of the same engine:
+// debounce(fn, 500)                 -> debounceAdvanced(fn, 500)
+// debounceImmediate(fn, 500, true)  -> debounceAdvanced(fn, 500, { leading: true, trailing: false })
+// throttle(fn, 1000)                -> throttleAdvanced(fn, 1000, { trailing: false })
+// throttleTrailing(fn, 1000)        -> throttleAdvanced(fn, 1000)
+// debounceWithCancel(fn, 1000)      -> debounceAdvanced(fn, 1000) (every preset can cancel)
+
+const controlledSearch = debounceAdvanced((query) => {
+  console.log('Searching for:', query);
+  return query;
+}, 500, { maxWait: 2000 });
+
+// controlledSearch('h');
+// controlledSearch('he');
+// console.log(controlledSearch.pending()); // true
+// controlledSearch.flush();                // Searching for: he (runs now)
+// console.log(controlledSearch.pending()); // false
+// controlledSearch('hello');
+// controlledSearch.cancel();               // Nothing runs
+// Typing non-stop still searches at least every 2 seconds (maxWait)
+
+const controlledScroll = throttleAdvanced(logScroll, 1000);
+
+// window.addEventListener('scroll', controlledScroll);
+// Later: controlledScroll.cancel(); // Drop the trailing call on cleanup
+
+// Testing with a fake clock (createFakeClock from event_loop) - no real waiting
+// const clock = createFakeClock();
+// const calls = [];
+// const fast = throttleAdvanced((n) => calls.push(n), 100, { clock });
+// for (let i = 1; i <= 10; i++) { fast(i); clock.advance(25); }
+// clock.runAll();
+// console.log(calls); // [1, 4, 8, 10] - leading, latest args every 100ms, then trailing
+
+// 22. Promise-returning debounce for async work (search boxes)
+// Every call returns a Promise:
+// - the latest call resolves with its own result
+// - older calls reject with SupersededError (waiting or already in flight)
+// - cancel() rejects the waiting/running call with CancelledError instead,
+//   so callers can tell "the user gave up" from "a newer call took over"
+// Superseded and cancelled promises are marked as handled, so dropping them
+// (e.g. an input handler that never awaits) doesn't raise unhandled rejections.
+// Real errors from the latest call still do.
+// The wrapped function gets an AbortSignal as its last argument so
+// in-flight requests are aborted when a newer call takes over
+class SupersededError extends Error {
+  constructor(message = 'Superseded by a newer call') {
+    super(message);
+    this.name = 'SupersededError';
+    this.superseded = true;
+  }
+}
+
+class CancelledError extends Error {
+  constructor(message = 'Cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+    this.cancelled = true;
+  }
+}
+
+function debounceAsync(func, wait, clock = realClock) {
+  let timeoutId = null;
+  let waiting = null;  // Call waiting for the timer: { args, context, promise, resolve, reject }
+  let inFlight = null; // Call already running: { controller, promise, reject }
+
+  function drop(call, error) {
+    if (call) {
+      call.promise.catch(() => {}); // Nobody has to await a dropped call
+      call.reject(error);
+    }
+  }
+
+  function abortInFlight(error) {
+    if (inFlight) {
+      inFlight.controller.abort(error);
+      drop(inFlight, error);
+      inFlight = null;
+    }
+  }
+
+  async function run(call) {
+    abortInFlight(new SupersededError());
+
+    const controller = new AbortController();
+    const current = { controller, promise: call.promise, reject: call.reject };
+    inFlight = current;
+
+    try {
+      const result = await func.apply(call.context, [...call.args, controller.signal]);
+
+      // A newer call took over while we were waiting - drop the stale result
+      if (inFlight !== current) return;
+      call.resolve(result);
+    } catch (error) {
+      if (inFlight !== current) return;
+      call.reject(error);
+    } finally {
+      if (inFlight === current) inFlight = null;
+    }
+  }
+
+  function debounced(...args) {
+    clock.clearTimeout(timeoutId);
+    drop(waiting, new SupersededError());
+
+    const call = { args, context: this };
+    call.promise = new Promise((resolve, reject) => {
+      call.resolve = resolve;
+      call.reject = reject;
+    });
+    waiting = call;
+
+    timeoutId = clock.setTimeout(() => {
+      waiting = null;
+      timeoutId = null;
+      run(call);
+    }, wait);
+
+    return call.promise;
+  }
+
+  // Drop the waiting call and abort the running one
+  debounced.cancel = function(reason) {
+    const error = new CancelledError(reason);
+    clock.clearTimeout(timeoutId);
+    timeoutId = null;
+    drop(waiting, error);
+    waiting = null;
+    abortInFlight(error);
+  };
+
+  debounced.pending = function() {
+    return waiting !== null || inFlight !== null;
+  };
+
+  return debounced;
+}
+
+// Example: awaitable search with loading state and no stale results
+const awaitableSearch = (function() {
+  let isLoading = false;
+
+  async function searchApi(query, signal) {
+    console.log('Searching API for:', query);
+    const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`, { signal });
+    return response.json();
+  }
+
+  const debouncedSearchApi = debounceAsync(searchApi, 500);
+
+  return {
+    search: async function(query) {
+      isLoading = true;
+
+      try {
+        const results = await debouncedSearchApi(query);
+        isLoading = false;
+        console.log('Results for:', query, results);
+        return results;
+      } catch (error) {
+        if (error instanceof SupersededError) {
+          return null; // A newer search owns the loading state now
+        }
+        if (error instanceof CancelledError) {
+          return null; // cancel() already reset the loading state
+        }
+        isLoading = false;
+        throw error;
+      }
+    },
+    cancel: function() {
+      debouncedSearchApi.cancel();
+      isLoading = false;
+    },
+    isLoading: () => isLoading
+  };
+})();
+
+// awaitableSearch.search('jav');        // Resolves null (superseded)
+// awaitableSearch.search('javascript'); // Resolves with results after 500ms
+// If 'jav' was already fetching, its request is aborted and its
+// response can never overwrite the 'javascript' results
+
+// 23. Frame-aligned throttle with requestAnimationFrame
+// For visual updates, the right limit isn't "every 100ms" - it's "once per frame".
+// Calls within one frame are merged, and the function runs with the LATEST args.
+// Falls back to a ~16ms timer where requestAnimationFrame doesn't exist (Node, tests)
+function throttleFrame(func, options = {}) {
+  const { clock = realClock, fallbackMs = 16 } = options;
+  const hasRaf = typeof requestAnimationFrame === 'function';
+
+  const requestFrame = hasRaf
+    ? (callback) => requestAnimationFrame(callback)
+    : (callback) => clock.setTimeout(() => callback(clock.now()), fallbackMs);
+
+  const cancelFrame = hasRaf
+    ? (id) => cancelAnimationFrame(id)
+    : (id) => clock.clearTimeout(id);
+
+  let frameId = null;
+  let lastArgs = null;
+  let lastThis = null;
+
+  function throttled(...args) {
+    lastArgs = args;
+    lastThis = this;
+
+    // Already waiting for a frame - it will pick up these args
+    if (frameId !== null) return;
+
+    frameId = requestFrame(() => {
+      const context = lastThis;
+      const latestArgs = lastArgs;
+
+      frameId = null;
+      lastArgs = null;
+      lastThis = null;
+      func.apply(context, latestArgs);
+    });
+  }
+
+  throttled.cancel = function() {
+    if (frameId !== null) {
+      cancelFrame(frameId);
+    }
+    frameId = null;
+    lastArgs = null;
+    lastThis = null;
+  };
+
+  throttled.pending = function() {
+    return frameId !== null;
+  };
+
+  return throttled;
+}
+
+// 60 mousemove events in one frame -> trackMousePosition runs once, with the last event
+// document.addEventListener('mousemove', throttledMouseMove);
+// Cleanup: throttledMouseMove.cancel();
+
+// 24. Adaptive throttle - tunes its interval from how long the handler takes
+// Instead of a hard-coded 250ms, give it a budget: "spend at most budgetMs
+// per second in this handler". Slow handler (or slow machine) -> longer interval.
+// Fast handler -> shorter interval, down to minInterval.
+function throttleAdaptive(func, options = {}) {
+  const {
+    budgetMs = 100,        // Handler time allowed per second (100 = 10% of the CPU)
+    initialInterval = 250,
+    minInterval = 16,
+    maxInterval = 2000,
+    smoothing = 0.3,       // How fast the average reacts to new measurements (0-1)
+    onAdjust = null,       // Called with stats after every run
+    clock = realClock
+  } = options;
+
+  // performance.now() is more precise for measuring short handlers
+  const measureNow = options.measureNow ||
+    (typeof performance !== 'undefined' ? () => performance.now() : () => Date.now());
+
+  let interval = initialInterval;
+  let averageCost = null;
+  let lastCost = 0;
+  let runs = 0;
+  let lastRunTime = null;
+  let timeoutId = null;
+  let lastArgs = null;
+  let lastThis = null;
+
+  function adjust(cost) {
+    lastCost = cost;
+    averageCost = averageCost === null ? cost : averageCost + smoothing * (cost - averageCost);
+
+    // Running every `interval` ms costs averageCost each time:
+    // (1000 / interval) * averageCost <= budgetMs
+    const ideal = (averageCost * 1000) / budgetMs;
+    interval = Math.min(maxInterval, Math.max(minInterval, Math.round(ideal)));
+
+    if (onAdjust) {
+      onAdjust(getStats());
+    }
+  }
+
+  function run() {
+    const context = lastThis;
+    const args = lastArgs;
+
+    lastArgs = null;
+    lastThis = null;
+    lastRunTime = clock.now();
+    runs++;
+
+    const start = measureNow();
+    try {
+      return func.apply(context, args);
+    } finally {
+      adjust(measureNow() - start);
+    }
+  }
+
+  function getStats() {
+    return { interval, lastCost, averageCost, budgetMs, runs };
+  }
+
+  function throttled(...args) {
+    lastArgs = args;
+    lastThis = this;
+
+    const now = clock.now();
+
+    if (lastRunTime === null || now - lastRunTime >= interval) {
+      clock.clearTimeout(timeoutId);
+      timeoutId = null;
+      return run();
+    }
+
+    // Too soon - run once more with the latest args when the interval is up
+    if (timeoutId === null) {
+      timeoutId = clock.setTimeout(() => {
+        timeoutId = null;
+        if (lastArgs) run();
+      }, lastRunTime + interval - now);
+    }
+  }
+
+  throttled.cancel = function() {
+    clock.clearTimeout(timeoutId);
+    timeoutId = null;
+    lastArgs = null;
+    lastThis = null;
+  };
+
+  throttled.stats = getStats;
+
+  return throttled;
+}
+
+// Heavy layout handler that degrades gracefully on slow machines
+function recalculateLayout() {
+  // Simulate expensive layout work
+  for (let i = 0; i < 1000000; i++) {
+    Math.sqrt(i);
+  }
+}
+
+const adaptiveResize = throttleAdaptive(recalculateLayout, {
+  budgetMs: 50,
+  onAdjust: (stats) => {
+    console.log(`Handler took ${stats.lastCost.toFixed(1)}ms -> interval now ${stats.interval}ms`);
+  }
+});
+
+// window.addEventListener('resize', adaptiveResize);
+// console.log(adaptiveResize.stats()); // { interval, lastCost, averageCost, budgetMs, runs }
+
+// 25. Auto-save engine
+// "Save 2s after typing stops" plus everything that goes wrong in real apps:
+// - dirty/clean tracking (is there anything unsaved?)
+// - failed saves retry with exponential backoff (1s, 2s, 4s...)
+// - one save at a time, so an older save can never land after a newer one
+// - flush on beforeunload so closing the tab doesn't lose the last edit
+// - status events for the UI: idle, pending, saving, saved, error
+// flush() rejects with the save error, so "Save now" buttons can report it
+function createAutoSave(options) {
+  const {
+    save,                  // async (data, { version }) => any
+    delay = 1500,
+    maxRetries = 3,
+    retryDelay = 1000,     // Doubles after each failed attempt
+    saveOnUnload = null,   // Sync fallback for page close, e.g. navigator.sendBeacon
+    unloadTarget = typeof window !== 'undefined' ? window : null,
+    clock = realClock
+  } = options;
+
+  const listeners = new Set();
+  let status = 'idle';
+  let latestData;
+  let version = 0;       // Bumped on every update
+  let savedVersion = 0;  // Newest version the server has
+  let inFlight = null;   // Promise of the running save
+  let timerId = null;
+  let attempt = 0;
+  let lastError = null;
+
+  function isDirty() {
+    return version > savedVersion;
+  }
+
+  function getState() {
+    return { status, dirty: isDirty(), version, savedVersion, attempt, error: lastError };
+  }
+
+  function setStatus(next) {
+    status = next;
+    const state = getState();
+    listeners.forEach(listener => {
+      // A broken UI listener must not turn a successful save into a failure
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Auto-save listener failed:', error);
+      }
+    });
+  }
+
+  function schedule(ms) {
+    clock.clearTimeout(timerId);
+    timerId = clock.setTimeout(() => {
+      timerId = null;
+      runSave().catch(() => {}); // Reported through status 'error' and retried
+    }, ms);
+  }
+
+  async function runSave() {
+    // Never run two saves at once - wait, then save whatever is newest
+    if (inFlight) {
+      await inFlight;
+      return runSave();
+    }
+
+    if (!isDirty()) return;
+
+    const snapshot = { data: latestData, version };
+    setStatus('saving');
+
+    // Resolves with the save error (or null) - never rejects, so saves
+    // queued behind it above don't inherit its failure
+    inFlight = (async () => {
+      try {
+        await save(snapshot.data, { version: snapshot.version });
+        savedVersion = Math.max(savedVersion, snapshot.version);
+        attempt = 0;
+        lastError = null;
+
+        // More edits came in while saving - they already have a timer
+        setStatus(isDirty() ? 'pending' : 'saved');
+        return null;
+      } catch (error) {
+        lastError = error;
+        attempt++;
+
+        if (attempt > maxRetries) {
+          attempt = 0;
+          setStatus('error');
+          return error;
+        }
+
+        setStatus('error');
+        // Only retry if no newer edit has already scheduled its own save
+        if (timerId === null) {
+          schedule(retryDelay * 2 ** (attempt - 1));
+        }
+        return error;
+      }
+    })();
+
+    let failure;
+    try {
+      failure = await inFlight;
+    } finally {
+      inFlight = null;
+    }
+    if (failure) throw failure;
+  }
+
+  function update(data) {
+    latestData = data;
+    version++;
+    attempt = 0;
+    setStatus('pending');
+    schedule(delay);
+  }
+
+  // Save right now instead of waiting for the debounce.
+  // Rejects if the save fails (a retry is still scheduled)
+  function flush() {
+    clock.clearTimeout(timerId);
+    timerId = null;
+    return runSave();
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    listener(getState());
+    return () => listeners.delete(listener);
+  }
+
+  function handleBeforeUnload(event) {
+    if (!isDirty()) return;
+
+    if (saveOnUnload) {
+      // Async saves won't finish once the page is gone - use the sync fallback
+      saveOnUnload(latestData, { version });
+    } else {
+      flush().catch(() => {});
+      // Ask the browser to show "Leave site? Changes may not be saved"
+      event.preventDefault();
+      event.returnValue = '';
+    }
+  }
+
+  if (unloadTarget) {
+    unloadTarget.addEventListener('beforeunload', handleBeforeUnload);
+  }
+
+  function destroy() {
+    clock.clearTimeout(timerId);
+    timerId = null;
+    listeners.clear();
+    if (unloadTarget) {
+      unloadTarget.removeEventListener('beforeunload', handleBeforeUnload);
+    }
+  }
+
+  return { update, flush, subscribe, isDirty, getState, destroy };
+}
+
+// Creating an engine adds a beforeunload listener, so only do it where
+// the form actually lives:
+// const draftAutoSave = createAutoSave({
+//   save: async (draft, { version }) => {
+//     const response = await fetch('/api/draft', {
+//       method: 'PUT',
+//       headers: { 'Content-Type': 'application/json' },
+//       body: JSON.stringify({ ...draft, version }) // Server can ignore older versions too
+//     });
+//     if (!response.ok) throw new Error(`HTTP ${response.status}`);
+//   },
+//   delay: 1000,
+//   saveOnUnload: (draft) => {
+//     navigator.sendBeacon('/api/draft', JSON.stringify(draft));
+//   }
+// });
+// const unsubscribe = draftAutoSave.subscribe(({ status, dirty }) => {
+//   statusLabel.textContent = status; // idle -> pending -> saving -> saved
+//   saveButton.disabled = !dirty;
+// });
+// draftAutoSave.update({ title: 'Hello' });
+// draftAutoSave.update({ title: 'Hello World' }); // Saved once, 1s later
+// Network error -> status 'error', retries after 1s, 2s, 4s
+// saveButton.onclick = () => draftAutoSave.flush().catch(showError); // Rejects if the save fails
+// Later: unsubscribe(); draftAutoSave.destroy();
+
+// 26. Testing with a fake clock
+// createFakeClock comes from event_loop (see the top of this file) - timers
+// only fire when you advance time, so tests take 0ms of wall time.
+function rateLimiterFakeClockExample() {
+  const clock = createFakeClock();
+  const ran = [];
+  const limiter = createRateLimiter({
+    strategy: 'sliding-window',
+    limit: 2,
+    interval: 1000,
+    clock
+  });
+
+  for (let i = 1; i <= 5; i++) {
+    limiter.schedule('api', () => ran.push(`call ${i} at ${clock.now()}ms`));
+  }
+
+  console.log(limiter.stats('api'));  // { remaining: 0, queued: 3, ... }
+  clock.advance(1000);
+  clock.runAll();
+  console.log(ran);
+  // ['call 1 at 0ms', 'call 2 at 0ms', 'call 3 at 1000ms', 'call 4 at 1000ms', 'call 5 at 2000ms']
+}
+
+// rateLimiterFakeClockExample();
+
+// Other topics require() this file for its helpers - only print the
+// banner when it's run directly
+if (typeof module === 'undefined' || require.main === module) {
+  console.log('\n Debouncing & Throttling Examples');
+  console.log('Uncomment any function to see it in action\n');
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { createAutoSave };
+}
\ No newline at end of file
@@ -1,3 +1,14 @@
+// Helper: Real clock - the default for every helper that takes a `clock`.
+// Tests pass createFakeClock() (section 19) instead. The other topics
+// require both from this file rather than keeping their own copies.
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms, ...args) => setTimeout(callback, ms, ...args),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (callback, ms, ...args) => setInterval(callback, ms, ...args),
+  clearInterval: (id) => clearInterval(id)
+};
+
 // 1. Basic execution order
 function basicOrder() {
   console.log('1 - Synchronous');
@@ -147,34 +158,225 @@ function microtaskExhaustion() {
 // All microtasks run before any macrotask
 
 // 9. Real-world: Breaking up heavy work
-function processLargeDataset(data) {
-  const batchSize = 1000;
-  let currentIndex = 0;
-  
-  function processBatch() {
-    const endIndex = Math.min(currentIndex + batchSize, data.length);
-    
-    for (let i = currentIndex; i < endIndex; i++) {
-      // Process each item
-      data[i] = data[i] * 2;
-    }
-    
-    currentIndex = endIndex;
-    
-    if (currentIndex < data.length) {
-      console.log(`Processed ${currentIndex}/${data.length}`);
-      setTimeout(processBatch, 0); // Let other tasks run
+// Fixed batches don't work when item cost varies - 1000 cheap items take
+// 1ms, 1000 expensive ones freeze the page. The scheduler below works for a
+// time budget instead, then yields so rendering and input can happen.
+
+// Yield to the event loop without setTimeout's 1-4ms minimum delay
+const scheduleMacrotask = (() => {
+  if (typeof setImmediate === 'function') {
+    return (callback) => setImmediate(callback);
+  }
+
+  if (typeof MessageChannel === 'function') {
+    const channel = new MessageChannel();
+    const callbacks = [];
+    channel.port1.onmessage = () => callbacks.shift()();
+    return (callback) => {
+      callbacks.push(callback);
+      channel.port2.postMessage(null);
+    };
+  }
+
+  return (callback) => setTimeout(callback, 0);
+})();
+
+class TaskCancelledError extends Error {
+  constructor(reason = 'Task cancelled') {
+    super(typeof reason === 'string' ? reason : 'Task cancelled');
+    this.name = 'TaskCancelledError';
+    this.reason = reason;
+  }
+}
+
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+// Tasks are generator functions - every `yield` is a point where the
+// scheduler may pause. Whatever you yield is reported as progress.
+function createScheduler({ budgetMs = 5, clock = realClock, yieldToLoop = scheduleMacrotask } = {}) {
+  let queue = [];
+  let nextId = 1;
+  let turn = 0;
+  let sliceRequested = false;
+
+  function requestSlice() {
+    if (sliceRequested || queue.length === 0) return;
+    sliceRequested = true;
+    yieldToLoop(runSlice);
+  }
+
+  // Highest priority first; the one that waited longest among equals
+  function pickNext() {
+    return queue.reduce((best, task) => (
+      task.priority < best.priority ||
+      (task.priority === best.priority && task.lastTurn < best.lastTurn) ? task : best
+    ));
+  }
+
+  function finish(task, error, value) {
+    queue = queue.filter(queued => queued !== task);
+    task.state = error ? 'failed' : 'done';
+    if (task.cleanup) task.cleanup();
+
+    if (error) {
+      task.reject(error);
     } else {
-      console.log('Processing complete!');
+      task.resolve(value);
     }
   }
-  
-  processBatch();
+
+  function runSlice() {
+    sliceRequested = false;
+    const sliceStart = clock.now();
+    const touched = new Set();
+
+    while (queue.length > 0) {
+      const task = pickNext();
+      task.lastTurn = turn++;
+      touched.add(task);
+
+      let result;
+      try {
+        result = task.iterator.next();
+      } catch (error) {
+        finish(task, error);
+        continue;
+      }
+
+      if (result.done) {
+        finish(task, null, result.value);
+      } else if (result.value !== undefined) {
+        task.progress = result.value;
+        task.progressChanged = true;
+      }
+
+      if (clock.now() - sliceStart >= budgetMs) break;
+    }
+
+    // Progress once per slice, not once per item
+    touched.forEach(task => {
+      if (!task.progressChanged || !task.onProgress) return;
+      task.progressChanged = false;
+
+      try {
+        task.onProgress(task.progress);
+      } catch (error) {
+        if (task.state === 'running') cancel(task, error);
+      }
+    });
+
+    requestSlice();
+  }
+
+  function cancel(task, reason) {
+    if (task.state !== 'running') return;
+
+    queue = queue.filter(queued => queued !== task);
+    task.state = 'cancelled';
+    if (task.cleanup) task.cleanup();
+
+    try {
+      task.iterator.return(); // Runs the generator's finally blocks
+    } catch {
+      // Cleanup failed - we're cancelling anyway
+    }
+
+    task.reject(reason instanceof Error ? reason : new TaskCancelledError(reason));
+  }
+
+  // Returns { id, promise, cancel(reason), getProgress() }
+  function schedule(generatorFn, { priority = 'normal', signal, onProgress } = {}) {
+    if (!(priority in PRIORITIES)) {
+      throw new Error(`Unknown priority "${priority}" - use high, normal or low`);
+    }
+
+    const task = {
+      id: nextId++,
+      priority: PRIORITIES[priority],
+      lastTurn: -1,
+      state: 'running',
+      progress: undefined,
+      progressChanged: false,
+      onProgress,
+      cleanup: null
+    };
+
+    const promise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+
+    const handle = {
+      id: task.id,
+      promise,
+      cancel: (reason) => cancel(task, reason),
+      getProgress: () => task.progress
+    };
+
+    if (signal && signal.aborted) {
+      task.state = 'cancelled';
+      task.reject(new TaskCancelledError(signal.reason));
+      return handle;
+    }
+
+    if (signal) {
+      const onAbort = () => cancel(task, new TaskCancelledError(signal.reason));
+      signal.addEventListener('abort', onAbort, { once: true });
+      task.cleanup = () => signal.removeEventListener('abort', onAbort);
+    }
+
+    task.iterator = generatorFn();
+    queue.push(task);
+    requestSlice();
+
+    return handle;
+  }
+
+  return {
+    schedule,
+    pending: () => queue.length,
+    cancelAll(reason) {
+      [...queue].forEach(task => cancel(task, reason));
+    }
+  };
+}
+
+const scheduler = createScheduler();
+
+// Run fn over every item, yielding whenever the time budget runs out
+function processInSlices(items, fn, { scheduler: target = scheduler, ...options } = {}) {
+  return target.schedule(function* () {
+    for (let i = 0; i < items.length; i++) {
+      fn(items[i], i);
+      yield { processed: i + 1, total: items.length };
+    }
+    return items;
+  }, options);
+}
+
+function processLargeDataset(data, { priority = 'normal', signal } = {}) {
+  const task = processInSlices(data, (item, i) => {
+    data[i] = item * 2;
+  }, {
+    priority,
+    signal,
+    onProgress: ({ processed, total }) => console.log(`Processed ${processed}/${total}`)
+  });
+
+  return task.promise.then(result => {
+    console.log('Processing complete!');
+    return result;
+  });
 }
 
 // const largeArray = new Array(5000).fill(1);
 // processLargeDataset(largeArray);
 
+// const controller = new AbortController();
+// processLargeDataset(new Array(1e7).fill(1), { priority: 'low', signal: controller.signal })
+//   .catch(error => console.log(error.name)); // TaskCancelledError
+// setTimeout(() => controller.abort('User left the page'), 50);
+
 // 10. Callback queue vs Microtask queue
 function queueComparison() {
   console.log('Script start');
@@ -266,13 +468,13 @@ function promiseCreationComparison() {
 // Output: 1, 3, 5, 2, 4
 
 // 14. Real-world: Debouncing with Event Loop
-function createDebounce(fn, delay) {
+function createDebounce(fn, delay, clock = realClock) {
   let timeoutId;
   
   return function(...args) {
-    clearTimeout(timeoutId);
+    clock.clearTimeout(timeoutId);
     
-    timeoutId = setTimeout(() => {
+    timeoutId = clock.setTimeout(() => {
       fn.apply(this, args);
     }, delay);
   };
@@ -361,5 +563,1148 @@ async function nonBlockingAlternative() {
 
 // nonBlockingAlternative();
 
-console.log('\n Event Loop Examples');
-console.log('Uncomment any function to see execution order\n');
\ No newline at end of file
+// 19. Fake clock - control time instead of waiting for it
+// Same shape as realClock, but timers only fire when you advance time.
+// Pass it to any helper that accepts a clock (createDebounce above,
+// debounceAdvanced, delay in async_await...) to test timing in 0ms of wall time
+function createFakeClock(startTime = 0) {
+  let currentTime = startTime;
+  let nextId = 1;
+  let nextOrder = 1; // Tie-breaker so timers due at the same time run in order
+  const timers = new Map();
+
+  function schedule(callback, ms, args, interval) {
+    const id = nextId++;
+    const delayMs = Math.max(0, Number(ms) || 0);
+
+    timers.set(id, {
+      id,
+      callback,
+      args,
+      delay: delayMs,
+      interval,
+      runAt: currentTime + delayMs,
+      order: nextOrder++
+    });
+
+    return id;
+  }
+
+  function nextDueTimer(limit) {
+    let next = null;
+
+    for (const timer of timers.values()) {
+      if (timer.runAt > limit) continue;
+      if (!next || timer.runAt < next.runAt ||
+          (timer.runAt === next.runAt && timer.order < next.order)) {
+        next = timer;
+      }
+    }
+
+    return next;
+  }
+
+  function fire(timer) {
+    currentTime = Math.max(currentTime, timer.runAt);
+
+    if (timer.interval) {
+      // Reschedule before running so the callback can clear it
+      timer.runAt = currentTime + Math.max(1, timer.delay);
+      timer.order = nextOrder++;
+    } else {
+      timers.delete(timer.id);
+    }
+
+    timer.callback(...timer.args);
+  }
+
+  return {
+    now: () => currentTime,
+    setTimeout: (callback, ms, ...args) => schedule(callback, ms, args, false),
+    clearTimeout: (id) => { timers.delete(id); },
+    setInterval: (callback, ms, ...args) => schedule(callback, ms, args, true),
+    clearInterval: (id) => { timers.delete(id); },
+
+    // Move time forward, firing every timer that comes due along the way
+    advance(ms) {
+      const target = currentTime + ms;
+      let timer;
+
+      while ((timer = nextDueTimer(target))) {
+        fire(timer);
+      }
+
+      currentTime = target;
+      return this;
+    },
+
+    // Jump straight to the next timer and fire it
+    next() {
+      const timer = nextDueTimer(Infinity);
+      if (timer) fire(timer);
+      return Boolean(timer);
+    },
+
+    // Fire timers until none are left (intervals would loop forever, so cap it)
+    runAll(maxTimers = 1000) {
+      let count = 0;
+
+      while (this.next()) {
+        count++;
+        if (count >= maxTimers) {
+          throw new Error(`runAll stopped after ${maxTimers} timers - is an interval still running?`);
+        }
+      }
+
+      return count;
+    },
+
+    // What's queued, soonest first
+    pending() {
+      return [...timers.values()]
+        .sort((a, b) => a.runAt - b.runAt || a.order - b.order)
+        .map(timer => ({
+          id: timer.id,
+          type: timer.interval ? 'interval' : 'timeout',
+          runAt: timer.runAt,
+          remaining: timer.runAt - currentTime
+        }));
+    }
+  };
+}
+
+function fakeClockExample() {
+  const clock = createFakeClock();
+  const logged = [];
+  const debounced = createDebounce((msg) => logged.push(msg), 300, clock);
+
+  debounced('First');
+  clock.advance(100);
+  debounced('Second');
+  clock.advance(100);
+  debounced('Third');
+
+  console.log('Queued:', clock.pending()); // One timeout, 300ms remaining
+  clock.advance(299);
+  console.log('Logged so far:', logged);   // []
+  clock.advance(1);
+  console.log('Logged after 300ms:', logged); // ['Third']
+  console.log('Fake time:', clock.now());  // 500 - no real waiting happened
+}
+
+// fakeClockExample();
+
+// 20. Event loop simulator - replay an example step by step
+// A tiny runtime with its own call stack, microtask queue, macrotask queue
+// and timer heap. Scenarios get simulated versions of console, setTimeout,
+// Promise and queueMicrotask, so their code looks just like the examples above.
+// async functions are written as generators: async(function* () { yield p; })
+// where `yield` stands in for `await`.
+// Time is virtual - it jumps straight to the next timer.
+function createEventLoopSimulator({ maxSteps = 10000 } = {}) {
+  const callStack = [];
+  const microtasks = [];
+  const macrotasks = [];
+  const timerHeap = [];
+  const trace = [];
+  const output = [];
+  let time = 0;
+  let nextSeq = 1;
+  const counts = {};
+
+  function nextLabel(kind) {
+    counts[kind] = (counts[kind] || 0) + 1;
+    return `${kind}#${counts[kind]}`;
+  }
+
+  function record(type, label, detail) {
+    if (trace.length >= maxSteps) {
+      throw new Error(`Simulation stopped after ${maxSteps} steps - endless loop?`);
+    }
+
+    trace.push({
+      step: trace.length + 1,
+      time,
+      type,
+      label,
+      detail,
+      callStack: [...callStack],
+      microtasks: microtasks.map(task => task.label),
+      macrotasks: macrotasks.map(task => task.label),
+      timers: [...timerHeap]
+        .sort(compareTimers)
+        .map(timer => `${timer.label}@${timer.runAt}`)
+    });
+  }
+
+  // Timer heap - a binary min-heap ordered by due time, then creation order
+  function compareTimers(a, b) {
+    return a.runAt - b.runAt || a.seq - b.seq;
+  }
+
+  function heapPush(timer) {
+    timerHeap.push(timer);
+    let i = timerHeap.length - 1;
+
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (compareTimers(timerHeap[parent], timerHeap[i]) <= 0) break;
+      [timerHeap[parent], timerHeap[i]] = [timerHeap[i], timerHeap[parent]];
+      i = parent;
+    }
+  }
+
+  function heapPop() {
+    const top = timerHeap[0];
+    const last = timerHeap.pop();
+
+    if (timerHeap.length > 0) {
+      timerHeap[0] = last;
+      let i = 0;
+
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+
+        if (left < timerHeap.length && compareTimers(timerHeap[left], timerHeap[smallest]) < 0) smallest = left;
+        if (right < timerHeap.length && compareTimers(timerHeap[right], timerHeap[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+
+        [timerHeap[smallest], timerHeap[i]] = [timerHeap[i], timerHeap[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+
+  function enqueueMicrotask(run, label) {
+    microtasks.push({ run, label });
+    record('microtask-queued', label);
+  }
+
+  function runTask(task) {
+    callStack.push(task.label);
+    record('run', task.label);
+
+    try {
+      task.run();
+    } catch (error) {
+      record('error', task.label, error.message);
+    }
+
+    callStack.pop();
+    record('done', task.label);
+  }
+
+  function drainMicrotasks() {
+    while (microtasks.length > 0) {
+      runTask(microtasks.shift());
+    }
+  }
+
+  // Promises that queue their reactions on the simulated microtask queue.
+  // Same ordering rules as native ones, including the extra ticks when
+  // a promise is resolved with another promise.
+  class SimPromise {
+    #state = 'pending';
+    #value;
+    #reactions = [];
+
+    constructor(executor) {
+      let called = false;
+
+      const resolve = (value) => {
+        if (called) return;
+        called = true;
+        this.#resolveWith(value);
+      };
+
+      const reject = (reason) => {
+        if (called) return;
+        called = true;
+        this.#settle('rejected', reason);
+      };
+
+      try {
+        executor(resolve, reject);
+      } catch (error) {
+        reject(error);
+      }
+    }
+
+    #resolveWith(value) {
+      if (value === this) {
+        this.#settle('rejected', new TypeError('Chaining cycle detected'));
+        return;
+      }
+
+      if (value instanceof SimPromise) {
+        // Adopting another promise costs a microtask of its own
+        enqueueMicrotask(() => {
+          value.then(v => this.#resolveWith(v), r => this.#settle('rejected', r));
+        }, nextLabel('resolve-thenable'));
+        return;
+      }
+
+      this.#settle('fulfilled', value);
+    }
+
+    #settle(state, value) {
+      if (this.#state !== 'pending') return;
+      this.#state = state;
+      this.#value = value;
+      this.#reactions.forEach(reaction => this.#schedule(reaction));
+      this.#reactions = [];
+    }
+
+    #schedule({ onFulfilled, onRejected, resolve, reject, label }) {
+      enqueueMicrotask(() => {
+        const handler = this.#state === 'fulfilled' ? onFulfilled : onRejected;
+
+        if (typeof handler !== 'function') {
+          (this.#state === 'fulfilled' ? resolve : reject)(this.#value);
+          return;
+        }
+
+        try {
+          resolve(handler(this.#value));
+        } catch (error) {
+          reject(error);
+        }
+      }, label);
+    }
+
+    then(onFulfilled, onRejected) {
+      const label = nextLabel('then');
+
+      return new SimPromise((resolve, reject) => {
+        const reaction = { onFulfilled, onRejected, resolve, reject, label };
+
+        if (this.#state === 'pending') {
+          this.#reactions.push(reaction);
+        } else {
+          this.#schedule(reaction);
+        }
+      });
+    }
+
+    catch(onRejected) {
+      return this.then(undefined, onRejected);
+    }
+
+    static resolve(value) {
+      return value instanceof SimPromise ? value : new SimPromise(resolve => resolve(value));
+    }
+
+    static reject(reason) {
+      return new SimPromise((_, reject) => reject(reason));
+    }
+  }
+
+  // Generator-based async functions: each `yield` behaves like `await`
+  function simAsync(generatorFn) {
+    return function(...args) {
+      return new SimPromise((resolve, reject) => {
+        const iterator = generatorFn.apply(this, args);
+
+        function step(method, arg) {
+          let result;
+
+          try {
+            result = iterator[method](arg);
+          } catch (error) {
+            reject(error);
+            return;
+          }
+
+          if (result.done) {
+            resolve(result.value);
+            return;
+          }
+
+          SimPromise.resolve(result.value).then(
+            value => step('next', value),
+            error => step('throw', error)
+          );
+        }
+
+        step('next');
+      });
+    };
+  }
+
+  // The "globals" handed to a scenario
+  const runtime = {
+    console: {
+      log: (...args) => {
+        const line = args.join(' ');
+        output.push(line);
+        record('log', callStack[callStack.length - 1], line);
+      }
+    },
+    setTimeout(callback, ms = 0, ...args) {
+      const label = nextLabel('timeout');
+      // Like Node, 0ms really means 1ms
+      const timer = { label, runAt: time + Math.max(1, ms), seq: nextSeq++, run: () => callback(...args) };
+      heapPush(timer);
+      record('timer-scheduled', label, `${ms}ms`);
+      return timer.seq;
+    },
+    clearTimeout(id) {
+      const index = timerHeap.findIndex(timer => timer.seq === id);
+      if (index === -1) return;
+
+      const [timer] = timerHeap.splice(index, 1);
+      timerHeap.sort(compareTimers); // Still a valid heap once sorted
+      record('timer-cleared', timer.label);
+    },
+    queueMicrotask(callback) {
+      enqueueMicrotask(callback, nextLabel('microtask'));
+    },
+    Promise: SimPromise,
+    async: simAsync
+  };
+
+  // Run a scenario to completion and return what it logged plus the full trace
+  function run(scenario, label = scenario.name || 'main') {
+    runTask({ label: `script: ${label}`, run: () => scenario(runtime) });
+    drainMicrotasks();
+
+    while (macrotasks.length > 0 || timerHeap.length > 0) {
+      if (macrotasks.length === 0) {
+        time = Math.max(time, timerHeap[0].runAt); // Nothing to do - skip ahead
+      }
+
+      // Every timer that's due moves to the macrotask queue
+      while (timerHeap.length > 0 && timerHeap[0].runAt <= time) {
+        const timer = heapPop();
+        macrotasks.push(timer);
+        record('timer-fired', timer.label);
+      }
+
+      runTask(macrotasks.shift());
+      drainMicrotasks(); // All microtasks run before the next macrotask
+    }
+
+    return { output: [...output], trace: [...trace] };
+  }
+
+  return { run, runtime };
+}
+
+// One line per step: what happened, then where everything is
+function formatTrace(trace) {
+  const list = (items) => (items.length > 0 ? items.join(', ') : '-');
+
+  return trace.map(entry => [
+    `${String(entry.step).padStart(3)}. [t=${entry.time}]`,
+    `${entry.type.padEnd(16)} ${(entry.label || '').padEnd(22)}`,
+    entry.detail ? `"${entry.detail}" ` : '',
+    `| stack: ${list(entry.callStack)}`,
+    `| micro: ${list(entry.microtasks)}`,
+    `| macro: ${list(entry.macrotasks)}`,
+    `| timers: ${list(entry.timers)}`
+  ].join(' ')).join('\n');
+}
+
+function simulate(scenario, { showTrace = true } = {}) {
+  const { output, trace } = createEventLoopSimulator().run(scenario);
+
+  if (showTrace) console.log(formatTrace(trace));
+  console.log('Output:', output.join(', '));
+
+  return { output, trace };
+}
+
+// The examples above, rewritten against the simulated runtime.
+// These are hand-written copies (awaits become yields), so they can drift.
+// checkExecutionOrder (section 21) is what keeps them honest: it runs the
+// real example and its copy here against the same expected order, so an
+// edit to one side without the other fails. Add a case there for every
+// entry added here.
+const simulatedExamples = {
+  basicOrder({ console, setTimeout, Promise }) {
+    console.log('1 - Synchronous');
+    setTimeout(() => console.log('2 - Timeout (Macrotask)'), 0);
+    Promise.resolve().then(() => console.log('3 - Promise (Microtask)'));
+    console.log('4 - Synchronous');
+  },
+
+  multipleTasksExample({ console, setTimeout, Promise }) {
+    console.log('Start');
+    setTimeout(() => console.log('Timeout 1'), 0);
+    setTimeout(() => console.log('Timeout 2'), 0);
+    Promise.resolve()
+      .then(() => console.log('Promise 1'))
+      .then(() => console.log('Promise 2'));
+    console.log('End');
+  },
+
+  promiseExecutorTiming({ console, Promise }) {
+    console.log('1');
+    new Promise((resolve) => {
+      console.log('2 - Inside Promise executor (sync!)');
+      resolve();
+    }).then(() => console.log('3 - Then callback (microtask)'));
+    console.log('4');
+  },
+
+  testAsyncTiming({ console, Promise, async }) {
+    const asyncAwaitTiming = async(function* () {
+      console.log('1');
+      yield Promise.resolve();
+      console.log('2 - After await (microtask)');
+    });
+
+    console.log('Start');
+    asyncAwaitTiming();
+    console.log('End');
+  },
+
+  chainedPromises({ console, Promise }) {
+    Promise.resolve()
+      .then(() => {
+        console.log('Promise 1');
+        return Promise.resolve();
+      })
+      .then(() => console.log('Promise 2'))
+      .then(() => console.log('Promise 3'));
+    console.log('Synchronous');
+  },
+
+  mixedExample({ console, setTimeout, Promise }) {
+    console.log('1');
+    setTimeout(() => console.log('2 - setTimeout'), 0);
+    Promise.resolve()
+      .then(() => console.log('3 - Promise 1'))
+      .then(() => {
+        console.log('4 - Promise 2');
+        setTimeout(() => console.log('5 - setTimeout inside Promise'), 0);
+      });
+    console.log('6');
+  },
+
+  microtaskExhaustion({ console, setTimeout, Promise }) {
+    console.log('Start');
+    setTimeout(() => console.log('Timeout'), 0);
+    Promise.resolve().then(() => {
+      console.log('Promise 1');
+      Promise.resolve().then(() => console.log('Promise 2 (created by Promise 1)'));
+    });
+    console.log('End');
+  },
+
+  queueComparison({ console, setTimeout, Promise, queueMicrotask }) {
+    console.log('Script start');
+    setTimeout(() => console.log('setTimeout'), 0);
+    Promise.resolve()
+      .then(() => console.log('Promise 1'))
+      .then(() => console.log('Promise 2'));
+    queueMicrotask(() => console.log('queueMicrotask'));
+    console.log('Script end');
+  },
+
+  nestedSetTimeout({ console, setTimeout, Promise }) {
+    console.log('Start');
+    setTimeout(() => {
+      console.log('Outer timeout');
+      setTimeout(() => console.log('Inner timeout'), 0);
+      Promise.resolve().then(() => console.log('Promise inside timeout'));
+    }, 0);
+    console.log('End');
+  },
+
+  testMultipleAwaits({ console, Promise, async }) {
+    const multipleAwaits = async(function* () {
+      console.log('1');
+      yield Promise.resolve();
+      console.log('2');
+      yield Promise.resolve();
+      console.log('3');
+      yield Promise.resolve();
+      console.log('4');
+    });
+
+    console.log('Start');
+    multipleAwaits();
+    console.log('End');
+  },
+
+  promiseCreationComparison({ console, Promise }) {
+    console.log('1');
+    Promise.resolve().then(() => console.log('2'));
+    new Promise(resolve => {
+      console.log('3');
+      resolve();
+    }).then(() => console.log('4'));
+    console.log('5');
+  },
+
+  runComplexScenario({ console, setTimeout, Promise, async }) {
+    const complexScenario = async(function* () {
+      console.log('1');
+      setTimeout(() => console.log('2'), 0);
+      yield Promise.resolve();
+      console.log('3');
+      setTimeout(() => console.log('4'), 0);
+      Promise.resolve().then(() => console.log('5'));
+      console.log('6');
+    });
+
+    console.log('Start');
+    complexScenario();
+    console.log('End');
+  }
+};
+
+// simulate(simulatedExamples.mixedExample);
+//   4. [t=0] microtask-queued then#1  | stack: script: mixedExample | micro: then#1 | macro: - | timers: timeout#1@1
+//   ...
+//  15. [t=1] timer-fired      timeout#1  | stack: - | micro: - | macro: timeout#1 | timers: timeout#2@1
+//   ...
+// Output: 1, 6, 3 - Promise 1, 4 - Promise 2, 2 - setTimeout, 5 - setTimeout inside Promise
+
+// 21. Checking the "Output:" comments automatically
+// Each case declares the order its example should log in. The harness
+// captures console.log while the example runs, waits for every queue to
+// drain, then compares. Expected entries may be just the start of a line
+// ('3' matches '3 - Promise (Microtask)'), the same way the comments read.
+// Cases with a simulated version (section 20) are checked there too, so a
+// Node upgrade that changes real ordering shows up as real vs simulated.
+const executionOrderCases = [
+  { name: 'basicOrder', run: basicOrder, expected: ['1', '4', '3', '2'] },
+  {
+    name: 'multipleTasksExample',
+    run: multipleTasksExample,
+    expected: ['Start', 'End', 'Promise 1', 'Promise 2', 'Timeout 1', 'Timeout 2']
+  },
+  { name: 'promiseExecutorTiming', run: promiseExecutorTiming, expected: ['1', '2', '4', '3'] },
+  { name: 'testAsyncTiming', run: testAsyncTiming, expected: ['Start', '1', 'End', '2'] },
+  {
+    name: 'chainedPromises',
+    run: chainedPromises,
+    expected: ['Synchronous', 'Promise 1', 'Promise 2', 'Promise 3']
+  },
+  { name: 'mixedExample', run: mixedExample, expected: ['1', '6', '3', '4', '2', '5'] },
+  {
+    name: 'microtaskExhaustion',
+    run: microtaskExhaustion,
+    expected: ['Start', 'End', 'Promise 1', 'Promise 2', 'Timeout']
+  },
+  {
+    name: 'queueComparison',
+    run: queueComparison,
+    expected: ['Script start', 'Script end', 'Promise 1', 'queueMicrotask', 'Promise 2', 'setTimeout']
+  },
+  {
+    name: 'nestedSetTimeout',
+    run: nestedSetTimeout,
+    expected: ['Start', 'End', 'Outer timeout', 'Promise inside timeout', 'Inner timeout']
+  },
+  { name: 'testMultipleAwaits', run: testMultipleAwaits, expected: ['Start', '1', 'End', '2', '3', '4'] },
+  { name: 'promiseCreationComparison', run: promiseCreationComparison, expected: ['1', '3', '5', '2', '4'] },
+  {
+    name: 'runComplexScenario',
+    run: runComplexScenario,
+    expected: ['Start', '1', 'End', '3', '6', '5', '2', '4']
+  }
+  // timeoutDelays and blockingExample are left out - they block on purpose
+];
+
+function matchesExpected(line, expected) {
+  return line === expected || line.startsWith(expected + ' ');
+}
+
+// Run an example with console.log captured, until all its queues are empty
+async function captureLogs(run, settleMs) {
+  const lines = [];
+  const originalLog = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+
+  try {
+    run();
+    // Microtasks drain before any timer, and the examples only use
+    // 0ms timers - so once this fires, everything has run
+    await new Promise(resolve => setTimeout(resolve, settleMs));
+  } finally {
+    console.log = originalLog;
+  }
+
+  return lines;
+}
+
+// Side-by-side listing, mismatched rows marked with >
+function formatOrderDiff(expected, actual) {
+  const rows = Math.max(expected.length, actual.length);
+  const lines = ['     #  expected                  actual'];
+
+  for (let i = 0; i < rows; i++) {
+    const want = expected[i] === undefined ? '(nothing)' : expected[i];
+    const got = actual[i] === undefined ? '(nothing)' : actual[i];
+    const same = actual[i] !== undefined && expected[i] !== undefined &&
+      matchesExpected(actual[i], expected[i]);
+
+    lines.push(`  ${same ? ' ' : '>'} ${String(i + 1).padStart(2)}  ${want.padEnd(24)}  ${got}`);
+  }
+
+  return lines.join('\n');
+}
+
+function compareOrder(expected, actual) {
+  return expected.length === actual.length &&
+    expected.every((item, i) => matchesExpected(actual[i], item));
+}
+
+async function checkExecutionOrder(cases = executionOrderCases, options = {}) {
+  const { settleMs = 50, simulated = true, log = console.log } = options;
+  const results = [];
+
+  // One at a time - their logs would interleave otherwise
+  for (const testCase of cases) {
+    const runs = [['real', await captureLogs(testCase.run, settleMs)]];
+
+    if (simulated && simulatedExamples[testCase.name]) {
+      const { output } = createEventLoopSimulator().run(simulatedExamples[testCase.name], testCase.name);
+      runs.push(['simulated', output]);
+    }
+
+    runs.forEach(([runtime, actual]) => {
+      const passed = compareOrder(testCase.expected, actual);
+      results.push({ name: testCase.name, runtime, passed, expected: testCase.expected, actual });
+
+      log(`${passed ? 'PASS' : 'FAIL'} ${testCase.name} (${runtime})`);
+      if (!passed) log(formatOrderDiff(testCase.expected, actual));
+    });
+  }
+
+  const failed = results.filter(result => !result.passed);
+  log(`\n${results.length - failed.length}/${results.length} passed`);
+
+  return { passed: failed.length === 0, results, failed };
+}
+
+// checkExecutionOrder().then(({ passed }) => {
+//   if (!passed && typeof process !== 'undefined') process.exitCode = 1;
+// });
+// PASS basicOrder (real)
+// PASS basicOrder (simulated)
+// ...
+// 24/24 passed
+
+// 22. Event loop lag monitor - catch blockingExample in the act
+// A timer that should fire every `interval` ms. If it fires late, something
+// blocked the loop for that long. Code you label with run()/wrap() records
+// how long it held the thread, so a long task can be blamed on it.
+function createLoopMonitor(options = {}) {
+  const {
+    interval = 20,       // How often to check (ms)
+    threshold = 50,      // Lag above this counts as a long task (ms)
+    maxSamples = 1000,   // Keep only the most recent lag samples
+    onLongTask = (task) => {
+      console.warn(`Long task: event loop blocked ~${task.lag}ms (${task.label})`);
+    },
+    clock = realClock
+  } = options;
+
+  let samples = [];
+  let longTasks = [];
+  let recentRuns = []; // Labeled work since the last check
+  let timerId = null;
+  let lastCheck = 0;
+
+  function check() {
+    const now = clock.now();
+    const lag = Math.max(0, now - lastCheck - interval);
+    lastCheck = now;
+
+    samples.push(lag);
+    if (samples.length > maxSamples) samples.shift();
+
+    if (lag >= threshold) {
+      // Blame whichever labeled code held the thread longest since last time
+      const culprit = recentRuns.reduce(
+        (longest, run) => (!longest || run.duration > longest.duration ? run : longest),
+        null
+      );
+
+      const task = {
+        lag,
+        at: now,
+        label: culprit ? culprit.label : 'unlabeled',
+        duration: culprit ? culprit.duration : null
+      };
+
+      longTasks.push(task);
+      if (longTasks.length > maxSamples) longTasks.shift();
+      onLongTask(task);
+    }
+
+    recentRuns = [];
+  }
+
+  // Run fn under a label. Only the synchronous part is measured -
+  // for an async fn, that's everything up to the first await.
+  function run(label, fn, ...args) {
+    const start = clock.now();
+
+    try {
+      return fn(...args);
+    } finally {
+      recentRuns.push({ label, duration: clock.now() - start });
+    }
+  }
+
+  function wrap(label, fn) {
+    return function(...args) {
+      return run(label, () => fn.apply(this, args));
+    };
+  }
+
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+  }
+
+  function stats() {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, lag) => sum + lag, 0);
+
+    // Long tasks grouped by label, worst offenders first
+    const byLabel = {};
+    longTasks.forEach(task => {
+      const entry = byLabel[task.label] || (byLabel[task.label] = { count: 0, totalLag: 0, maxLag: 0 });
+      entry.count++;
+      entry.totalLag += task.lag;
+      entry.maxLag = Math.max(entry.maxLag, task.lag);
+    });
+
+    return {
+      samples: sorted.length,
+      mean: sorted.length > 0 ? total / sorted.length : 0,
+      p50: percentile(sorted, 50),
+      p90: percentile(sorted, 90),
+      p99: percentile(sorted, 99),
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+      longTasks: longTasks.length,
+      byLabel: Object.entries(byLabel)
+        .sort(([, a], [, b]) => b.totalLag - a.totalLag)
+        .map(([label, entry]) => ({ label, ...entry }))
+    };
+  }
+
+  return {
+    start() {
+      if (timerId !== null) return this;
+      lastCheck = clock.now();
+      timerId = clock.setInterval(check, interval);
+      // Node: a monitor left running shouldn't keep the process alive
+      if (timerId && typeof timerId.unref === 'function') timerId.unref();
+      return this;
+    },
+    stop() {
+      if (timerId !== null) clock.clearInterval(timerId);
+      timerId = null;
+      return this;
+    },
+    reset() {
+      samples = [];
+      longTasks = [];
+      recentRuns = [];
+      return this;
+    },
+    run,
+    wrap,
+    stats,
+    longTasks: () => [...longTasks]
+  };
+}
+
+function monitorBlockingExample() {
+  const monitor = createLoopMonitor({ threshold: 100 }).start();
+
+  setTimeout(() => {
+    monitor.run('blockingExample', blockingExample);
+    // Long task: event loop blocked ~2000ms (blockingExample)
+  }, 100);
+
+  setTimeout(() => {
+    monitor.stop();
+    console.log(monitor.stats());
+    // { p50: 0, p90: 0, p99: ~2000, max: ~2000, longTasks: 1,
+    //   byLabel: [{ label: 'blockingExample', count: 1, ... }], ... }
+  }, 3000);
+}
+
+// monitorBlockingExample();
+
+// 23. Worker pool - move heavy work off the main thread entirely
+// Yielding (section 9) keeps the page responsive, but the work still runs
+// on the main thread. For real number crunching, run it in a worker:
+// Web Workers in the browser, worker_threads in Node.
+// fn must be pure - it's sent to the worker as source code, so it can't
+// use variables from outside its own body.
+function defaultPoolSize() {
+  if (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) {
+    return Math.max(1, navigator.hardwareConcurrency - 1); // Leave one core for the UI
+  }
+
+  if (typeof require === 'function') {
+    return Math.max(1, require('os').cpus().length - 1);
+  }
+
+  return 2;
+}
+
+// Same little interface in both environments
+function spawnWorker(fnSource) {
+  // Results that are buffers get transferred back instead of copied
+  const body = `
+    const fn = (${fnSource});
+
+    function transferList(value) {
+      if (value instanceof ArrayBuffer) return [value];
+      if (ArrayBuffer.isView(value)) return [value.buffer];
+      return [];
+    }
+
+    listen(async ({ id, args }) => {
+      try {
+        const result = await fn(...args);
+        reply({ id, result }, transferList(result));
+      } catch (error) {
+        reply({ id, error: { name: error.name, message: error.message, stack: error.stack } });
+      }
+    });
+  `;
+
+  if (typeof Worker === 'function' && typeof Blob === 'function') {
+    const url = URL.createObjectURL(new Blob([`
+      const listen = (handler) => { self.onmessage = (event) => handler(event.data); };
+      const reply = (message, transfer) => self.postMessage(message, transfer);
+      ${body}
+    `], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+
+    return {
+      post: (message, transfer) => worker.postMessage(message, transfer),
+      onMessage: (handler) => { worker.onmessage = (event) => handler(event.data); },
+      onError: (handler) => { worker.onerror = (event) => handler(new Error(event.message)); },
+      setBusy: () => {},
+      terminate: () => {
+        worker.terminate();
+        URL.revokeObjectURL(url);
+      }
+    };
+  }
+
+  if (typeof require === 'function') {
+    const { Worker: NodeWorker } = require('worker_threads');
+    const worker = new NodeWorker(`
+      const { parentPort } = require('worker_threads');
+      const listen = (handler) => parentPort.on('message', handler);
+      const reply = (message, transfer) => parentPort.postMessage(message, transfer);
+      ${body}
+    `, { eval: true });
+
+    return {
+      post: (message, transfer) => worker.postMessage(message, transfer),
+      onMessage: (handler) => worker.on('message', handler),
+      onError: (handler) => worker.on('error', handler),
+      // Idle workers shouldn't keep the process alive
+      setBusy: (busy) => (busy ? worker.ref() : worker.unref()),
+      terminate: () => worker.terminate()
+    };
+  }
+
+  throw new Error('No worker support in this environment');
+}
+
+function createWorkerPool(fn, { size = defaultPoolSize() } = {}) {
+  const fnSource = fn.toString();
+  const slots = [];  // { worker, job }
+  let queue = [];    // Jobs waiting for a free worker
+  let nextJobId = 1;
+  let destroyed = false;
+
+  function addWorker() {
+    const slot = { worker: spawnWorker(fnSource), job: null };
+
+    slot.worker.onMessage(({ id, result, error }) => {
+      const job = slot.job;
+      if (!job || job.id !== id) return;
+
+      if (error) {
+        job.reject(Object.assign(new Error(error.message), error));
+      } else {
+        job.resolve(result);
+      }
+
+      release(slot);
+    });
+
+    // The worker itself crashed - fail its job and start a fresh one
+    slot.worker.onError((error) => {
+      if (slot.job) slot.job.reject(error);
+      replace(slot);
+    });
+
+    slot.worker.setBusy(false);
+    slots.push(slot);
+    return slot;
+  }
+
+  // A running job can't be interrupted - the only way to stop it is
+  // to kill its worker and put a new one in its place
+  function replace(slot) {
+    slot.worker.terminate();
+    slots.splice(slots.indexOf(slot), 1);
+    if (slot.job) slot.job.cleanup();
+    slot.job = null;
+
+    if (!destroyed) {
+      addWorker();
+      dispatch();
+    }
+  }
+
+  function release(slot) {
+    slot.job.cleanup();
+    slot.job = null;
+    slot.worker.setBusy(false);
+    dispatch();
+  }
+
+  function dispatch() {
+    while (queue.length > 0) {
+      let slot = slots.find(candidate => !candidate.job);
+      if (!slot && slots.length < size) slot = addWorker();
+      if (!slot) return;
+
+      const job = queue.shift();
+      slot.job = job;
+      job.slot = slot;
+      slot.worker.setBusy(true);
+      slot.worker.post({ id: job.id, args: job.args }, job.transfer);
+    }
+  }
+
+  function cancel(job, reason) {
+    if (job.settled) return;
+
+    job.reject(new TaskCancelledError(reason));
+
+    if (job.slot) {
+      replace(job.slot);
+    } else {
+      queue = queue.filter(queued => queued !== job);
+      job.cleanup();
+    }
+  }
+
+  // Returns a promise for fn(...args).
+  // transfer: ArrayBuffers to hand over instead of copy (unusable here afterwards)
+  function run(args = [], { transfer = [], signal } = {}) {
+    if (destroyed) {
+      return Promise.reject(new Error('Worker pool has been destroyed'));
+    }
+
+    if (signal && signal.aborted) {
+      return Promise.reject(new TaskCancelledError(signal.reason));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => cancel(job, signal.reason);
+
+      const job = {
+        id: nextJobId++,
+        args,
+        transfer,
+        slot: null,
+        settled: false,
+        resolve: (value) => { job.settled = true; resolve(value); },
+        reject: (error) => { job.settled = true; reject(error); },
+        cleanup: () => { if (signal) signal.removeEventListener('abort', onAbort); }
+      };
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      queue.push(job);
+      dispatch();
+    });
+  }
+
+  function destroy() {
+    destroyed = true;
+    queue.forEach(job => {
+      job.reject(new TaskCancelledError('Worker pool destroyed'));
+      job.cleanup();
+    });
+    queue = [];
+    [...slots].forEach(slot => {
+      if (slot.job) slot.job.reject(new TaskCancelledError('Worker pool destroyed'));
+      replace(slot);
+    });
+  }
+
+  return {
+    run,
+    destroy,
+    stats: () => ({
+      size,
+      workers: slots.length,
+      busy: slots.filter(slot => slot.job).length,
+      queued: queue.length
+    })
+  };
+}
+
+function workerPoolExample() {
+  // The same loop as ExpensiveCalculation in react/useMemo - but the
+  // main thread stays free while it runs
+  const pool = createWorkerPool((count) => {
+    let result = 0;
+    for (let i = 0; i < 1000000000; i++) {
+      result += count;
+    }
+    return result;
+  }, { size: 2 });
+
+  const controller = new AbortController();
+
+  Promise.all([pool.run([1]), pool.run([2])])
+    .then(results => console.log('Results:', results));
+
+  pool.run([3], { signal: controller.signal })
+    .catch(error => console.log(error.name)); // TaskCancelledError
+  controller.abort(); // Queued behind the other two - just removed
+
+  // Buffers can be moved instead of copied
+  const sumPool = createWorkerPool((buffer) => {
+    return new Float64Array(buffer).reduce((total, num) => total + num, 0);
+  }, { size: 1 });
+
+  const numbers = new Float64Array(1000000).fill(1);
+  sumPool.run([numbers.buffer], { transfer: [numbers.buffer] })
+    .then(sum => console.log('Sum:', sum)) // 1000000
+    .finally(() => sumPool.destroy());
+
+  console.log('Main thread is still free'); // Logs first
+
+  setTimeout(() => pool.destroy(), 10000);
+}
+
+// workerPoolExample();
+
+// Other topics require() this file for its helpers - only print the
+// banner when it's run directly
+if (typeof module === 'undefined' || require.main === module) {
+  console.log('\n Event Loop Examples');
+  console.log('Uncomment any function to see execution order\n');
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { realClock, createFakeClock, createWorkerPool, TaskCancelledError };
+}
\ No newline at end of file
@@ -1,3 +1,8 @@
+// Helper: apiFetch (set apiConfig.fetch to a mock server's fetch to run offline),
+// withTimeout / TimeoutError (section 8) and partitionSettled (section 15)
+// live in async_await/implementation.js
+const { apiFetch, withTimeout, TimeoutError, partitionSettled } = require('../async_await/implementation.js');
+
 // 1. Creating a basic Promise
 function basicPromise() {
   return new Promise((resolve, reject) => {
@@ -80,6 +85,117 @@ function getCompleteData() {
 
 // getCompleteData();
 
+// Cancelling a chain midway (e.g. the user navigated away)
+// Each step gets the previous result plus { signal, onCancel }:
+// - signal: pass it on to fetch() and friends
+// - onCancel(fn): register cleanup for work this step started
+// Once the signal aborts, the current step's cleanup runs, later steps never
+// start, and the chain rejects with a CancelledError
+class CancelledError extends Error {
+  constructor(reason) {
+    super('Chain was cancelled');
+    this.name = 'CancelledError';
+    this.cancelled = true;
+    this.reason = reason;
+  }
+}
+
+// No signal? The chain just can't be cancelled
+function cancellableChain(steps, signal = new AbortController().signal) {
+  if (!signal || typeof signal.aborted !== 'boolean' || typeof signal.addEventListener !== 'function') {
+    throw new TypeError('cancellableChain expects an AbortSignal (e.g. controller.signal)');
+  }
+
+  function cancelled() {
+    return Promise.reject(new CancelledError(signal.reason));
+  }
+
+  function runStep(step, previous) {
+    if (signal.aborted) return cancelled();
+
+    const cleanups = [];
+    const cleanupErrors = [];
+    let onAbort;
+
+    // One failing cleanup mustn't stop the others - or the cancellation
+    function runCleanup(cleanup) {
+      try {
+        cleanup(signal.reason);
+      } catch (error) {
+        cleanupErrors.push(error);
+      }
+    }
+
+    const abortPromise = new Promise((_, reject) => {
+      onAbort = () => {
+        cleanups.forEach(runCleanup);
+        const error = new CancelledError(signal.reason);
+        error.cleanupErrors = cleanupErrors; // Anything a cleanup threw
+        reject(error);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    const stepPromise = Promise.resolve()
+      .then(() => step(previous, {
+        signal,
+        // Registered after the abort? Nothing else will call it - run it now
+        onCancel: (cleanup) => (signal.aborted ? runCleanup(cleanup) : cleanups.push(cleanup))
+      }));
+
+    return Promise.race([stepPromise, abortPromise])
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  }
+
+  return steps.reduce(
+    (chain, step) => chain.then(previous => runStep(step, previous)),
+    Promise.resolve()
+  );
+}
+
+// Like fetchUser/fetchPosts/fetchComments, but the timer is cleared on cancel
+function cancellableDelay(ms, value, onCancel) {
+  return new Promise(resolve => {
+    const timerId = setTimeout(() => resolve(value), ms);
+    onCancel(() => {
+      clearTimeout(timerId);
+      console.log('Cleaned up pending request');
+    });
+  });
+}
+
+function getCompleteDataCancellable(signal) {
+  return cancellableChain([
+    (_, { onCancel }) => cancellableDelay(1000, { id: 1, name: 'John Doe' }, onCancel),
+    (user, { onCancel }) => {
+      console.log('Got user:', user.name);
+      return cancellableDelay(1000, [{ id: 1, title: 'Post 1', userId: user.id }], onCancel);
+    },
+    (posts, { onCancel }) => {
+      console.log('Got posts:', posts.length);
+      return cancellableDelay(1000, [{ id: 1, text: 'Great post!', postId: posts[0].id }], onCancel);
+    }
+    // A real step would pass the signal on: (posts, { signal }) => fetch(url, { signal })
+  ], signal)
+    .then(comments => {
+      console.log('Got comments:', comments.length);
+      return comments;
+    })
+    .catch(error => {
+      if (error instanceof CancelledError) {
+        console.log('Loading cancelled:', error.reason);
+        return null; // Not a failure - nobody wants the result anymore
+      }
+      throw error;
+    });
+}
+
+// const controller = new AbortController();
+// getCompleteDataCancellable(controller.signal);
+// setTimeout(() => controller.abort('User navigated away'), 1500);
+// Got user: John Doe -> Cleaned up pending request -> Loading cancelled: User navigated away
+// (fetchComments never starts)
+
 // 4. Promise.all() - run multiple Promises in parallel
 function parallelFetch() {
   const user1 = fetchUser();
@@ -98,9 +214,133 @@ function parallelFetch() {
 
 // parallelFetch();
 
+// Declaring dependencies instead of hand-wiring them
+// Each task lists what it needs; everything else runs as early as possible.
+// - a task starts the moment all its dependencies are done
+// - cycles and unknown dependencies are caught before anything runs
+// - if a task fails, everything that depends on it is skipped
+// - resolves with a report: status, value/reason and timing per task
+function findCycle(tasks) {
+  const visiting = new Set();
+  const visited = new Set();
+
+  function visit(name, path) {
+    if (visiting.has(name)) return [...path.slice(path.indexOf(name)), name];
+    if (visited.has(name)) return null;
+
+    visiting.add(name);
+    for (const dep of tasks[name].deps || []) {
+      const cycle = visit(dep, [...path, name]);
+      if (cycle) return cycle;
+    }
+    visiting.delete(name);
+    visited.add(name);
+    return null;
+  }
+
+  for (const name of Object.keys(tasks)) {
+    const cycle = visit(name, []);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+function runTaskGraph(tasks) {
+  // A bare function is a task with no dependencies
+  const graph = Object.fromEntries(Object.entries(tasks).map(([name, task]) => [
+    name,
+    typeof task === 'function' ? { deps: [], run: task } : task
+  ]));
+
+  for (const [name, task] of Object.entries(graph)) {
+    for (const dep of task.deps || []) {
+      if (!graph[dep]) {
+        return Promise.reject(new Error(`Task "${name}" depends on unknown task "${dep}"`));
+      }
+    }
+  }
+
+  const cycle = findCycle(graph);
+  if (cycle) {
+    return Promise.reject(new Error(`Dependency cycle: ${cycle.join(' -> ')}`));
+  }
+
+  const graphStart = Date.now();
+  const report = {};
+  const promises = {};
+
+  function runTask(name) {
+    if (promises[name]) return promises[name];
+
+    const { deps = [], run } = graph[name];
+
+    promises[name] = Promise.all(deps.map(runTask))
+      .then(depValues => {
+        const failedDep = deps.find(dep => report[dep].status !== 'fulfilled');
+        if (failedDep) {
+          report[name] = { status: 'skipped', reason: `Skipped because "${failedDep}" did not complete` };
+          return;
+        }
+
+        // Dependencies arrive by name: run({ user, settings })
+        const input = Object.fromEntries(deps.map((dep, i) => [dep, depValues[i]]));
+        const start = Date.now();
+
+        return Promise.resolve()
+          .then(() => run(input))
+          .then(
+            value => {
+              report[name] = { status: 'fulfilled', value, start: start - graphStart, duration: Date.now() - start };
+              return value;
+            },
+            reason => {
+              report[name] = { status: 'rejected', reason, start: start - graphStart, duration: Date.now() - start };
+            }
+          );
+      });
+
+    return promises[name];
+  }
+
+  return Promise.all(Object.keys(graph).map(runTask))
+    .then(() => ({
+      ok: Object.values(report).every(entry => entry.status === 'fulfilled'),
+      duration: Date.now() - graphStart,
+      tasks: report
+    }));
+}
+
+// App bootstrap: user -> (settings + permissions in parallel) -> dashboard
+function bootstrapApp() {
+  return runTaskGraph({
+    user: () => fetchUser(),
+    settings: {
+      deps: ['user'],
+      run: ({ user }) => new Promise(resolve => setTimeout(() => resolve({ theme: 'dark', userId: user.id }), 500))
+    },
+    permissions: {
+      deps: ['user'],
+      run: ({ user }) => new Promise(resolve => setTimeout(() => resolve(['read', 'write']), 800))
+    },
+    dashboard: {
+      deps: ['settings', 'permissions'],
+      run: ({ settings, permissions }) => ({ theme: settings.theme, canEdit: permissions.includes('write') })
+    }
+  })
+    .then(report => {
+      Object.entries(report.tasks).forEach(([name, task]) => {
+        console.log(`${name}: ${task.status}`, task.duration !== undefined ? `(${task.duration}ms, started at ${task.start}ms)` : task.reason);
+      });
+      console.log('Total:', report.duration + 'ms'); // ~1800ms, not 1000 + 500 + 800
+      return report;
+    });
+}
+
+// bootstrapApp();
+
 // 5. Real API example with fetch
 function getUserFromAPI(userId) {
-  fetch(`https://jsonplaceholder.typicode.com/users/${userId}`)
+  apiFetch(`/users/${userId}`)
     .then(response => {
       if (!response.ok) {
         throw new Error(`HTTP error: ${response.status}`);
@@ -109,7 +349,7 @@ function getUserFromAPI(userId) {
     })
     .then(user => {
       console.log('User:', user.name);
-      return fetch(`https://jsonplaceholder.typicode.com/posts?userId=${userId}`);
+      return apiFetch(`/posts?userId=${userId}`);
     })
     .then(response => response.json())
     .then(posts => {
@@ -163,6 +403,28 @@ function allSettledExample() {
 
 // allSettledExample();
 
+// Split settled results into values (keyed by name) and TaskErrors -
+// partitionSettled and TaskError come from async_await (section 15)
+function allSettledPartitioned() {
+  const names = ['user', 'posts', 'comments'];
+
+  Promise.allSettled([fetchUser(), Promise.reject(new Error('Posts API down')), fetchComments(1)])
+    .then(results => {
+      const { values, errors } = partitionSettled(results, names);
+
+      console.log('Loaded:', Object.keys(values)); // ['user', 'comments']
+      errors.forEach(error => console.log(error.task, 'failed - cause:', error.cause)); // posts
+
+      if (errors.length) {
+        // One error object that still carries every failure
+        throw new AggregateError(errors, `${errors.length} of ${results.length} failed`);
+      }
+    })
+    .catch(error => console.error(error.message, error.errors));
+}
+
+// allSettledPartitioned();
+
 // 8. Converting callback to Promise
 // Old callback style
 function oldStyleAsync(value, callback) {
@@ -192,12 +454,141 @@ function newStyleAsync(value) {
 //   .then(result => console.log('Result:', result))
 //   .catch(error => console.error('Error:', error));
 
+// Wrapping every callback function by hand gets old fast - a generic version:
+// promisify(fn) returns a function that returns a Promise instead of taking a callback
+// - error-first callbacks: callback(error, value)
+// - multi-value callbacks: callback(error, a, b) -> [a, b] or { name1: a, name2: b }
+// - functions can ship their own promise version under promisify.custom
+function promisify(fn, options = {}) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('promisify expects a function');
+  }
+
+  // Same symbol Node uses, so functions set up for util.promisify work here too
+  if (fn[promisify.custom]) {
+    return fn[promisify.custom];
+  }
+
+  const { multiArgs = false, names = null } = options;
+
+  return function(...args) {
+    return new Promise((resolve, reject) => {
+      fn.call(this, ...args, (error, ...values) => {
+        if (error) {
+          reject(error);
+        } else if (names) {
+          resolve(Object.fromEntries(names.map((name, i) => [name, values[i]])));
+        } else if (multiArgs) {
+          resolve(values);
+        } else {
+          resolve(values[0]);
+        }
+      });
+    });
+  };
+}
+
+promisify.custom = Symbol.for('nodejs.util.promisify.custom');
+
+// The reverse - give a Promise-returning function to callback-style code
+function callbackify(fn) {
+  return function(...args) {
+    const callback = args.pop();
+
+    if (typeof callback !== 'function') {
+      throw new TypeError('The last argument must be a callback');
+    }
+
+    // Run fn inside the chain so a sync throw or a plain return value still
+    // reaches the callback. Run the callback outside it so an error thrown
+    // inside it isn't turned into a rejection (and silently lost)
+    Promise.resolve().then(() => fn.apply(this, args)).then(
+      value => queueMicrotask(() => callback(null, value)),
+      reason => {
+        // callback(null) would look like success, so wrap falsy reasons
+        const error = reason || Object.assign(new Error('Promise was rejected with a falsy value'), { reason });
+        queueMicrotask(() => callback(error));
+      }
+    );
+  };
+}
+
+// Adds a promise version of every callback method: obj.read -> obj.readAsync
+function promisifyAll(target, options = {}) {
+  const { suffix = 'Async', filter = () => true } = options;
+  const seen = new Set();
+
+  // Walk the prototype chain so class methods are included too
+  for (let obj = target; obj && obj !== Object.prototype; obj = Object.getPrototypeOf(obj)) {
+    for (const key of Object.getOwnPropertyNames(obj)) {
+      if (seen.has(key) || key === 'constructor' || key.endsWith(suffix)) continue;
+      seen.add(key);
+
+      const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+      if (typeof descriptor.value !== 'function' || !filter(key)) continue;
+
+      const asyncKey = key + suffix;
+      if (!(asyncKey in target)) {
+        target[asyncKey] = promisify(descriptor.value); // Called as a method, so `this` stays right
+      }
+    }
+  }
+
+  return target;
+}
+
+// Usage
+const doubleAsync = promisify(oldStyleAsync);
+// doubleAsync(5).then(result => console.log('Result:', result)); // 10
+
+// Multi-value callback: callback(error, width, height)
+function getImageSize(url, callback) {
+  setTimeout(() => callback(null, 800, 600), 500);
+}
+
+const getImageSizeAsync = promisify(getImageSize, { names: ['width', 'height'] });
+// getImageSizeAsync('/photo.jpg').then(size => console.log(size)); // { width: 800, height: 600 }
+
+// Custom promise version
+function legacyTimer(ms, callback) {
+  setTimeout(() => callback(null, ms), ms);
+}
+legacyTimer[promisify.custom] = (ms) => new Promise(resolve => setTimeout(() => resolve(ms), ms));
+
+// promisify(legacyTimer) === legacyTimer[promisify.custom] // true
+
+// A whole legacy module at once
+const legacyStorage = {
+  data: {},
+  get(key, callback) {
+    setTimeout(() => callback(null, this.data[key]), 100);
+  },
+  set(key, value, callback) {
+    setTimeout(() => {
+      this.data[key] = value;
+      callback(null);
+    }, 100);
+  }
+};
+
+promisifyAll(legacyStorage);
+// legacyStorage.setAsync('theme', 'dark')
+//   .then(() => legacyStorage.getAsync('theme'))
+//   .then(theme => console.log('Theme:', theme)); // dark
+
+// callbackify for old code that still expects callbacks
+const fetchUserCallback = callbackify(fetchUser);
+// fetchUserCallback((error, user) => {
+//   if (error) return console.error(error);
+//   console.log('User:', user.name);
+// });
+
 // 9. Handling multiple API calls with Promise.all
 function fetchMultipleUsers() {
   const userIds = [1, 2, 3];
   
   const promises = userIds.map(id => 
-    fetch(`https://jsonplaceholder.typicode.com/users/${id}`)
+    apiFetch(`/users/${id}`)
       .then(res => res.json())
   );
 
@@ -214,19 +605,25 @@ function fetchMultipleUsers() {
 // fetchMultipleUsers();
 
 // 10. Promise with timeout
-function fetchWithTimeout(url, timeout = 5000) {
-  const fetchPromise = fetch(url).then(res => res.json());
-  
-  const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('Request timeout')), timeout);
-  });
-
-  return Promise.race([fetchPromise, timeoutPromise]);
+// withTimeout comes from async_await (section 8 there explains why it
+// aborts the work instead of just racing a setTimeout)
+function fetchWithTimeout(url, timeout = 5000, signal = null) {
+  return withTimeout(
+    (timeoutSignal) => apiFetch(url, { signal: timeoutSignal }).then(res => res.json()),
+    timeout,
+    { signal }
+  );
 }
 
 // fetchWithTimeout('https://jsonplaceholder.typicode.com/users/1', 3000)
 //   .then(data => console.log('Data:', data))
-//   .catch(error => console.error('Error:', error.message));
+//   .catch(error => {
+//     if (error instanceof TimeoutError) {
+//       console.error('Too slow:', error.elapsed + 'ms');
+//     } else {
+//       console.error('Error:', error.message);
+//     }
+//   });
 
 // 11. Error handling in chains
 function chainWithErrors() {
@@ -256,7 +653,7 @@ function chainWithErrors() {
 
 // 12. Finally block - runs regardless of success or failure
 function withFinally() {
-  fetch('https://jsonplaceholder.typicode.com/users/1')
+  apiFetch('/users/1')
     .then(res => res.json())
     .then(data => console.log('Data:', data.name))
     .catch(error => console.error('Error:', error))
@@ -267,5 +664,438 @@ function withFinally() {
 
 // withFinally();
 
+// 13. Building a Promise from scratch
+// MyPromise follows the Promises/A+ spec, so it behaves like the real thing:
+// - callbacks always run later, as microtasks (never synchronously)
+// - then() returns a NEW promise, resolved with whatever the callback returns
+// - returning a promise (or any "thenable") from then() waits for it
+// - once settled, the state never changes
+class MyPromise {
+  #state = 'pending';
+  #value = undefined;
+  #handlers = [];
+
+  constructor(executor) {
+    const { resolve, reject } = this.#resolvingFunctions();
+
+    try {
+      executor(resolve, reject);
+    } catch (error) {
+      reject(error);
+    }
+  }
+
+  // resolve/reject pair that only works once - later calls are ignored
+  #resolvingFunctions() {
+    let called = false;
+
+    return {
+      resolve: (value) => {
+        if (called) return;
+        called = true;
+        this.#resolveWith(value);
+      },
+      reject: (reason) => {
+        if (called) return;
+        called = true;
+        this.#settle('rejected', reason);
+      }
+    };
+  }
+
+  // The "Promise Resolution Procedure" from the spec
+  #resolveWith(x) {
+    if (x === this) {
+      this.#settle('rejected', new TypeError('A promise cannot be resolved with itself'));
+      return;
+    }
+
+    if (x !== null && (typeof x === 'object' || typeof x === 'function')) {
+      let then;
+
+      try {
+        then = x.then; // Read once - a getter could return something different next time
+      } catch (error) {
+        this.#settle('rejected', error);
+        return;
+      }
+
+      if (typeof then === 'function') {
+        // A thenable: adopt its eventual state
+        const { resolve, reject } = this.#resolvingFunctions();
+        try {
+          then.call(x, resolve, reject);
+        } catch (error) {
+          reject(error); // Ignored if resolve/reject was already called
+        }
+        return;
+      }
+    }
+
+    this.#settle('fulfilled', x);
+  }
+
+  #settle(state, value) {
+    if (this.#state !== 'pending') return;
+
+    this.#state = state;
+    this.#value = value;
+    this.#handlers.forEach(handler => this.#runHandler(handler));
+    this.#handlers = [];
+  }
+
+  #runHandler({ onFulfilled, onRejected, resolve, reject }) {
+    queueMicrotask(() => {
+      const callback = this.#state === 'fulfilled' ? onFulfilled : onRejected;
+
+      // No callback for this outcome - pass it down the chain
+      if (typeof callback !== 'function') {
+        if (this.#state === 'fulfilled') {
+          resolve(this.#value);
+        } else {
+          reject(this.#value);
+        }
+        return;
+      }
+
+      try {
+        resolve(callback(this.#value));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  then(onFulfilled, onRejected) {
+    return new MyPromise((resolve, reject) => {
+      const handler = { onFulfilled, onRejected, resolve, reject };
+
+      if (this.#state === 'pending') {
+        this.#handlers.push(handler);
+      } else {
+        this.#runHandler(handler);
+      }
+    });
+  }
+
+  catch(onRejected) {
+    return this.then(undefined, onRejected);
+  }
+
+  // Runs either way, passes the original result through
+  finally(onFinally) {
+    if (typeof onFinally !== 'function') {
+      return this.then(onFinally, onFinally);
+    }
+
+    return this.then(
+      value => MyPromise.resolve(onFinally()).then(() => value),
+      reason => MyPromise.resolve(onFinally()).then(() => { throw reason; })
+    );
+  }
+
+  static resolve(value) {
+    if (value instanceof MyPromise) return value;
+    return new MyPromise(resolve => resolve(value));
+  }
+
+  static reject(reason) {
+    return new MyPromise((_, reject) => reject(reason));
+  }
+
+  static withResolvers() {
+    let resolve;
+    let reject;
+    const promise = new MyPromise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+
+  static all(iterable) {
+    return new MyPromise((resolve, reject) => {
+      const values = [];
+      let remaining = 0;
+      let index = 0;
+
+      for (const item of iterable) {
+        const position = index++;
+        remaining++;
+
+        MyPromise.resolve(item).then(value => {
+          values[position] = value;
+          if (--remaining === 0) resolve(values);
+        }, reject);
+      }
+
+      if (remaining === 0) resolve(values);
+    });
+  }
+
+  static allSettled(iterable) {
+    return MyPromise.all([...iterable].map(item =>
+      MyPromise.resolve(item).then(
+        value => ({ status: 'fulfilled', value }),
+        reason => ({ status: 'rejected', reason })
+      )
+    ));
+  }
+
+  static race(iterable) {
+    return new MyPromise((resolve, reject) => {
+      for (const item of iterable) {
+        MyPromise.resolve(item).then(resolve, reject);
+      }
+    });
+  }
+
+  static any(iterable) {
+    return new MyPromise((resolve, reject) => {
+      const errors = [];
+      let remaining = 0;
+      let index = 0;
+
+      for (const item of iterable) {
+        const position = index++;
+        remaining++;
+
+        MyPromise.resolve(item).then(resolve, reason => {
+          errors[position] = reason;
+          if (--remaining === 0) {
+            reject(new AggregateError(errors, 'All promises were rejected'));
+          }
+        });
+      }
+
+      if (remaining === 0) {
+        reject(new AggregateError(errors, 'All promises were rejected'));
+      }
+    });
+  }
+}
+
+// Same ordering as the built-in Promise
+function compareWithNative() {
+  const log = [];
+
+  MyPromise.resolve('A').then(v => log.push('MyPromise ' + v));
+  Promise.resolve('A').then(v => log.push('Promise ' + v));
+  log.push('sync');
+
+  setTimeout(() => console.log(log)); // ['sync', 'MyPromise A', 'Promise A']
+}
+
+// compareWithNative();
+
+// MyPromise.all([1, MyPromise.resolve(2), new MyPromise(r => setTimeout(() => r(3), 100))])
+//   .then(values => console.log(values)); // [1, 2, 3]
+
+// MyPromise.any([MyPromise.reject('a'), MyPromise.resolve('b')])
+//   .then(value => console.log(value)); // 'b'
+
+// Running the official Promises/A+ test suite (872 tests):
+//   npm install promises-aplus-tests
+//   node implementation.js --aplus
+// The suite needs an adapter with resolved/rejected/deferred
+function runPromisesAplusTests() {
+  const adapter = {
+    resolved: MyPromise.resolve.bind(MyPromise),
+    rejected: MyPromise.reject.bind(MyPromise),
+    deferred: MyPromise.withResolvers.bind(MyPromise)
+  };
+
+  require('promises-aplus-tests')(adapter, (err) => {
+    console.log(err ? 'Promises/A+ suite failed' : 'Promises/A+ suite: all passed');
+    if (err) process.exitCode = 1;
+  });
+}
+
+if (typeof process !== 'undefined' && process.argv.includes('--aplus')) {
+  runPromisesAplusTests();
+}
+
+// 14. Debugging: unhandled rejections and promises that never settle
+// Opt-in instrumentation for tests and local debugging.
+// - create()/wrap() make promises the tracker knows about, with the stack
+//   trace of where they were created
+// - a tracked rejection nobody handles (still unhandled a tick later) is
+//   reported along with that creation stack
+// - pending() lists everything still waiting - great for finding hangs
+function createPromiseTracker(options = {}) {
+  const {
+    onUnhandled = (report) => {
+      console.error(`Unhandled rejection in "${report.label}":`, report.reason);
+      console.error('Promise was created at:', report.stack);
+    },
+    graceMs = 0,          // Extra time a handler may still be attached in
+    captureStacks = true  // Stacks cost a little - turn off if it's too slow
+  } = options;
+
+  const records = new WeakMap(); // promise -> record (doesn't keep promises alive)
+  const pendingRecords = new Set();
+  const reportTimers = new Map();
+  let nextId = 1;
+  let uninstall = null;
+
+  function create(executor, label = 'anonymous') {
+    const record = {
+      id: nextId++,
+      label,
+      state: 'pending',
+      createdAt: Date.now(),
+      settledAt: null,
+      stack: captureStacks ? new Error(`Promise "${label}" created`).stack : null
+    };
+
+    function mark(state) {
+      if (record.state !== 'pending') return;
+      record.state = state;
+      record.settledAt = Date.now();
+      pendingRecords.delete(record);
+    }
+
+    pendingRecords.add(record);
+
+    const promise = new Promise((resolve, reject) => {
+      let called = false;
+
+      const trackedResolve = (value) => {
+        if (called) return;
+        called = true;
+        // Resolving with another promise - we're settled when it is
+        Promise.resolve(value).then(() => mark('fulfilled'), () => mark('rejected'));
+        resolve(value);
+      };
+
+      const trackedReject = (reason) => {
+        if (called) return;
+        called = true;
+        mark('rejected');
+        reject(reason);
+      };
+
+      try {
+        executor(trackedResolve, trackedReject);
+      } catch (error) {
+        trackedReject(error);
+      }
+    });
+
+    records.set(promise, record);
+    return promise;
+  }
+
+  // Track whatever promise an async function returns
+  function wrap(fn, label = fn.name || 'anonymous') {
+    return function(...args) {
+      return create((resolve) => resolve(fn.apply(this, args)), label);
+    };
+  }
+
+  function handleUnhandled(reason, promise) {
+    const record = records.get(promise);
+    if (!record) return false;
+
+    // Give code one more tick (plus graceMs) to attach a handler
+    reportTimers.set(promise, setTimeout(() => {
+      reportTimers.delete(promise);
+      onUnhandled({ ...record, reason });
+    }, graceMs));
+
+    return true;
+  }
+
+  function handleLateHandler(promise) {
+    clearTimeout(reportTimers.get(promise));
+    reportTimers.delete(promise);
+  }
+
+  // Hook into the runtime's own unhandled-rejection events
+  function install() {
+    if (uninstall) return;
+
+    if (typeof process !== 'undefined' && typeof process.on === 'function') {
+      const onUnhandledRejection = (reason, promise) => {
+        if (!handleUnhandled(reason, promise)) {
+          // Having a listener turns off Node's default crash - keep it for
+          // everything we don't track
+          throw reason;
+        }
+      };
+
+      process.on('unhandledRejection', onUnhandledRejection);
+      process.on('rejectionHandled', handleLateHandler);
+
+      uninstall = () => {
+        process.off('unhandledRejection', onUnhandledRejection);
+        process.off('rejectionHandled', handleLateHandler);
+      };
+    } else if (typeof window !== 'undefined') {
+      const onUnhandledRejection = (event) => {
+        if (handleUnhandled(event.reason, event.promise)) {
+          event.preventDefault(); // We report it ourselves
+        }
+      };
+      const onRejectionHandled = (event) => handleLateHandler(event.promise);
+
+      window.addEventListener('unhandledrejection', onUnhandledRejection);
+      window.addEventListener('rejectionhandled', onRejectionHandled);
+
+      uninstall = () => {
+        window.removeEventListener('unhandledrejection', onUnhandledRejection);
+        window.removeEventListener('rejectionhandled', onRejectionHandled);
+      };
+    }
+  }
+
+  function stop() {
+    if (uninstall) uninstall();
+    uninstall = null;
+    reportTimers.forEach(timer => clearTimeout(timer));
+    reportTimers.clear();
+  }
+
+  // Still-pending promises, oldest first
+  function pending() {
+    const now = Date.now();
+    return [...pendingRecords]
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(record => ({ ...record, age: now - record.createdAt }));
+  }
+
+  function dumpPending() {
+    const list = pending();
+    console.log(`${list.length} promise(s) still pending`);
+    list.forEach(record => {
+      console.log(`#${record.id} "${record.label}" - pending for ${record.age}ms`);
+      if (record.stack) console.log(record.stack.split('\n').slice(1, 4).join('\n'));
+    });
+    return list;
+  }
+
+  return { create, wrap, install, stop, pending, dumpPending };
+}
+
+function trackerExample() {
+  const tracker = createPromiseTracker();
+  tracker.install();
+
+  const trackedFetchUser = tracker.wrap(fetchUser, 'fetchUser');
+  const trackedRisky = tracker.wrap(riskyOperation, 'riskyOperation');
+
+  trackedFetchUser().then(user => console.log('User:', user.name)); // Handled - fine
+  trackedRisky(); // Nobody catches this - if it fails, it's reported with its creation stack
+
+  tracker.create(() => {}, 'forgotToResolve'); // Never settles
+
+  setTimeout(() => {
+    tracker.dumpPending(); // #3 "forgotToResolve" - pending for 2000ms
+    tracker.stop();
+  }, 2000);
+}
+
+// trackerExample();
+
 console.log('\n=== Promise Examples ===');
 console.log('Uncomment any function to test it\n');
\ No newline at end of file
@@ -1,3 +1,6 @@
+// Helper: memoizeAsync lives in closures/implementation.js (section 15)
+const { memoizeAsync } = require('../closures/implementation.js');
+
 // 1. Basic this in different contexts
 function regularFunction() {
   console.log('Regular function this:', this);
@@ -342,27 +345,28 @@ const data = {
 // data.showMessageCorrect();
 
 // 22. Real-world: API service class
+// Caching (TTL, shared in-flight requests, invalidation) is memoizeAsync
+// from closures/implementation.js - this example is about `this`
 class ApiService {
-  constructor(baseUrl) {
+  constructor(baseUrl, cacheOptions = { ttl: 60000 }) {
     this.baseUrl = baseUrl;
-    this.cache = {};
+    // Arrow function - `this` inside is still the service
+    this.fetchData = memoizeAsync((endpoint) => this.request(endpoint), cacheOptions);
   }
   
-  async fetchData(endpoint) {
-    if (this.cache[endpoint]) {
-      console.log('Returning cached data for', endpoint);
-      return this.cache[endpoint];
-    }
-    
+  async request(endpoint) {
     console.log('Fetching from', this.baseUrl + endpoint);
     // Simulate API call
-    const data = { endpoint, timestamp: Date.now() };
-    this.cache[endpoint] = data;
-    return data;
+    return { endpoint, timestamp: Date.now() };
+  }
+  
+  invalidate(endpoint) {
+    this.fetchData.invalidate(endpoint);
+    return this;
   }
   
   clearCache() {
-    this.cache = {};
+    this.fetchData.clear();
     console.log('Cache cleared');
     return this;
   }
@@ -370,6 +374,8 @@ class ApiService {
 
 const api = new ApiService('https://api.example.com/');
 // api.fetchData('/users').then(data => console.log(data));
+// api.fetchData('/users'); // Cached - no second request
+// api.invalidate('/users').clearCache(); // Methods return this, so they chain
 
 console.log('\n this Keyword Examples');
 console.log('Uncomment any line to see the output\n');
\ No newline at end of file
@@ -1,4 +1,9 @@
 import { useState, useEffect } from 'react';
+// realClock / createFakeClock live in javascript/event_loop/implementation.js (section 19)
+import { realClock } from '../../javascript/event_loop/implementation.js';
+// apiFetch / apiConfig live in javascript/async_await - point apiConfig.fetch at
+// its mock server to run the fetching examples offline and in tests
+import { apiFetch } from '../../javascript/async_await/implementation.js';
 
 // 1. Basic useEffect - runs after every render
 function BasicEffect() {
@@ -60,22 +65,22 @@ function DependencyEffect() {
 }
 
 // 4. Cleanup function - timer
-function TimerCleanup() {
+function TimerCleanup({ clock = realClock }) {
   const [seconds, setSeconds] = useState(0);
   const [isRunning, setIsRunning] = useState(false);
   
   useEffect(() => {
     if (!isRunning) return;
     
-    const interval = setInterval(() => {
+    const interval = clock.setInterval(() => {
       setSeconds(s => s + 1);
     }, 1000);
     
     return () => {
-      clearInterval(interval);
+      clock.clearInterval(interval);
       console.log('Timer cleaned up');
     };
-  }, [isRunning]);
+  }, [isRunning, clock]);
   
   return (
     <div>
@@ -131,7 +136,7 @@ function DataFetcher() {
     async function fetchPosts() {
       try {
         setLoading(true);
-        const response = await fetch('https://jsonplaceholder.typicode.com/posts?_limit=5');
+        const response = await apiFetch('/posts?_limit=5');
         const data = await response.json();
         setPosts(data);
       } catch (error) {
@@ -172,7 +177,7 @@ function UserFetcher() {
         setLoading(true);
         setError(null);
         
-        const response = await fetch(`https://jsonplaceholder.typicode.com/users/${userId}`);
+        const response = await apiFetch(`/users/${userId}`);
         
         if (!response.ok) {
           throw new Error('User not found');
@@ -368,7 +373,7 @@ function UserProfileSafe({ initialUserId = 1 }) {
       setLoading(true);
       
       try {
-        const response = await fetch(`https://jsonplaceholder.typicode.com/users/${userId}`);
+        const response = await apiFetch(`/users/${userId}`);
         const data = await response.json();
         
         if (!cancelled) {
@@ -1,4 +1,5 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect, useRef } from 'react';
+import { createWorkerPool } from '../../javascript/event_loop/implementation.js';
 
 // 1. Basic useMemo - Expensive Calculation
 function ExpensiveCalculation() {
@@ -412,6 +413,66 @@ function UseMemoComparison() {
   );
 }
 
+// 9. Too slow even for useMemo - run it in a Web Worker
+// useMemo only skips recalculating. When the calculation itself freezes the
+// page (ExpensiveCalculation above), move it to a worker instead.
+// createWorkerPool lives in javascript/event_loop/implementation.js (section 23)
+
+// Same loop as ExpensiveCalculation - written to run on its own
+function addCountBillionTimes(count) {
+  let result = 0;
+  for (let i = 0; i < 1000000000; i++) {
+    result += count;
+  }
+  return result;
+}
+
+function WorkerCalculation() {
+  const [count, setCount] = useState(0);
+  const [text, setText] = useState('');
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const poolRef = useRef(null);
+  
+  useEffect(() => {
+    poolRef.current = createWorkerPool(addCountBillionTimes, { size: 2 });
+    return () => poolRef.current.destroy();
+  }, []);
+  
+  useEffect(() => {
+    const controller = new AbortController();
+    setStatus('calculating');
+    
+    poolRef.current.run([count], { signal: controller.signal })
+      .then(value => {
+        setResult(value);
+        setStatus('done');
+      })
+      .catch(error => {
+        if (error.name !== 'TaskCancelledError') setStatus('error');
+      });
+    
+    // Count changed again before we finished - stop the old calculation
+    return () => controller.abort();
+  }, [count]);
+  
+  return (
+    <div style={{ padding: '20px', border: '1px solid #ccc', marginBottom: '20px' }}>
+      <h3>9. Calculation in a Web Worker</h3>
+      <p>Count: {count}</p>
+      <button onClick={() => setCount(count + 1)}>Increment Count</button>
+      <br /><br />
+      <input 
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="Typing stays smooth while it calculates"
+      />
+      <p>Result: {status === 'calculating' ? 'Calculating...' : result}</p>
+      {status === 'error' && <p style={{ color: 'red' }}>Calculation failed</p>}
+    </div>
+  );
+}
+
 // Main App Component
 export default function App() {
   return (
@@ -425,6 +486,7 @@ export default function App() {
       <SortedTable />
       <ShoppingCart />
       <UseMemoComparison />
+      <WorkerCalculation />
     </div>
   );
 }
\ No newline at end of file
@@ -1,4 +1,8 @@
 import { useRef, useState, useEffect } from 'react';
+// realClock / createFakeClock live in javascript/event_loop/implementation.js (section 19)
+import { realClock } from '../../javascript/event_loop/implementation.js';
+// createAutoSave lives in javascript/debouncing_throttling/implementation.js (section 25)
+import { createAutoSave } from '../../javascript/debouncing_throttling/implementation.js';
 
 // 1. Basic useRef - Focus Input
 function FocusInput() {
@@ -54,7 +58,7 @@ function RefVsState() {
 }
 
 // 3. Stopwatch with useRef
-function Stopwatch() {
+function Stopwatch({ clock = realClock }) {
   const [time, setTime] = useState(0);
   const [isRunning, setIsRunning] = useState(false);
   const intervalRef = useRef(null);
@@ -62,7 +66,7 @@ function Stopwatch() {
   const start = () => {
     if (isRunning) return;
     setIsRunning(true);
-    intervalRef.current = setInterval(() => {
+    intervalRef.current = clock.setInterval(() => {
       setTime(t => t + 1);
     }, 1000);
   };
@@ -70,7 +74,7 @@ function Stopwatch() {
   const stop = () => {
     setIsRunning(false);
     if (intervalRef.current) {
-      clearInterval(intervalRef.current);
+      clock.clearInterval(intervalRef.current);
     }
   };
   
@@ -82,10 +86,10 @@ function Stopwatch() {
   useEffect(() => {
     return () => {
       if (intervalRef.current) {
-        clearInterval(intervalRef.current);
+        clock.clearInterval(intervalRef.current);
       }
     };
-  }, []);
+  }, [clock]);
   
   return (
     <div>
@@ -408,33 +412,50 @@ function CanvasDrawing() {
   );
 }
 
-// 12. Form with Auto-Save (no re-renders)
-function AutoSaveForm() {
+// 12. Form with Auto-Save (no re-renders while typing)
+// The ref holds a createAutoSave engine: it debounces, retries failed saves,
+// flushes on page close and reports status - typing itself never re-renders
+function saveProfile(data) {
+  // Stand-in for a PUT /api/profile
+  return new Promise(resolve => setTimeout(resolve, 300));
+}
+
+function AutoSaveForm({ save = saveProfile }) {
   const nameRef = useRef(null);
   const emailRef = useRef(null);
+  const engineRef = useRef(null);
+  const [saveState, setSaveState] = useState({ status: 'idle', dirty: false, error: null });
   const [savedData, setSavedData] = useState(null);
-  const saveTimeoutRef = useRef(null);
-  
-  const handleInput = () => {
-    clearTimeout(saveTimeoutRef.current);
-    saveTimeoutRef.current = setTimeout(() => {
-      const data = {
-        name: nameRef.current.value,
-        email: emailRef.current.value,
-        savedAt: new Date().toLocaleTimeString()
-      };
-      setSavedData(data);
-      console.log('Auto-saved:', data);
-    }, 1000);
-  };
   
   useEffect(() => {
+    const engine = createAutoSave({
+      save: async (data) => {
+        await save(data);
+        setSavedData({ ...data, savedAt: new Date().toLocaleTimeString() });
+      },
+      delay: 1000
+    });
+    engineRef.current = engine;
+    engine.subscribe(setSaveState);
+    
     return () => {
-      if (saveTimeoutRef.current) {
-        clearTimeout(saveTimeoutRef.current);
-      }
+      // Don't lose the last edit when the form unmounts
+      if (engine.isDirty()) engine.flush().catch(() => {});
+      engine.destroy();
     };
-  }, []);
+  }, [save]);
+  
+  const handleInput = () => {
+    engineRef.current.update({
+      name: nameRef.current.value,
+      email: emailRef.current.value
+    });
+  };
+  
+  const saveNow = () => {
+    // Rejects if the save fails - the 'error' status already shows it
+    engineRef.current.flush().catch(() => {});
+  };
   
   return (
     <div>
@@ -449,7 +470,15 @@ function AutoSaveForm() {
         onInput={handleInput}
         placeholder="Email"
       />
+      <button onClick={saveNow} disabled={!saveState.dirty}>Save now</button>
       <p>(Auto-saves 1 second after you stop typing)</p>
+      <p>
+        Status: {saveState.status}
+        {saveState.dirty && ' - unsaved changes'}
+      </p>
+      {saveState.status === 'error' && (
+        <p style={{ color: 'red' }}>Save failed: {saveState.error.message}</p>
+      )}
       {savedData && (
         <div>
           <p><strong>Last Saved:</strong> {savedData.savedAt}</p>